@@ -1,7 +1,72 @@
 const ACTION_BUTTON_SELECTOR = '[data-action]';
+const DIAGNOSTICS_STORAGE_KEY = 'graylogDiagnostics';
+const DIAGNOSTICS_REFRESH_DELAY_MS = 250;
+const STATUS_REFRESH_INTERVAL_MS = 5000;
+const DIAGNOSTICS_FILTER_ACTIONS = ['graylog:exportDiagnostics', 'graylog:exportSupportArchive'];
+const EXPORT_FORMATS = {
+  json: {
+    extension: 'json',
+    mimeType: 'application/json',
+    serialize: ({ header, diagnostics }) => JSON.stringify({ header, diagnostics }, null, 2)
+  },
+  ndjson: {
+    extension: 'ndjson',
+    mimeType: 'application/x-ndjson',
+    serialize: (exported) => `${buildExportRecords(exported).map((record) => JSON.stringify(record)).join('\n')}\n`
+  },
+  csv: {
+    extension: 'csv',
+    mimeType: 'text/csv',
+    serialize: formatDiagnosticsCsv
+  }
+};
+const ENDPOINT_TEST_FAILURES = {
+  'invalid-endpoint': 'the endpoint is invalid',
+  'host-permission': 'the extension manifest does not grant access to this host',
+  offline: 'the device is offline',
+  signing: 'no signing key is available',
+  dns: 'the host name could not be resolved',
+  tls: 'the TLS handshake failed',
+  timeout: 'the request timed out',
+  // Chrome reports most DNS and TLS errors as "Failed to fetch", so they land here.
+  network: 'the connection failed; Chrome does not say whether DNS, TLS, or the network caused it',
+  'http-error': 'the endpoint returned an error'
+};
+const SETTINGS_ERROR_MESSAGES = {
+  'invalid-endpoint': 'Enter an endpoint.',
+  'missing-host': 'Enter a host.',
+  'invalid-host': 'Enter a valid host name.',
+  'invalid-port': 'Enter a port between 1 and 65535.',
+  'invalid-protocol': 'Choose HTTPS or HTTP.',
+  'http-not-allowed': 'HTTP requires "Allow HTTP endpoints for testing".',
+  'host-not-allowed': 'The host is not in the allowed hosts list.',
+  'host-permission-missing': 'The extension manifest does not grant access to this host.',
+  'invalid-allowed-hosts': 'Enter one host per line.',
+  'invalid-boolean': 'Choose on or off.',
+  'out-of-range': 'Enter a number in the allowed range.'
+};
 const diagnosticsContainer = document.querySelector('#diagnostics');
 const statusElement = document.querySelector('#status');
+const heartbeatElement = document.querySelector('#heartbeat');
+const agentStatusElement = document.querySelector('#agent-status');
+const agentStatusUpdatedElement = document.querySelector('#agent-status-updated');
+const agentConfigElement = document.querySelector('#agent-config');
+const minSeverityElement = document.querySelector('#min-severity');
+const diagnosticsSinceElement = document.querySelector('#diagnostics-since');
+const diagnosticsUntilElement = document.querySelector('#diagnostics-until');
+const diagnosticsCodesElement = document.querySelector('#diagnostics-codes');
+const diagnosticsSearchElement = document.querySelector('#diagnostics-search');
+const exportFormatElement = document.querySelector('#export-format');
+const payloadViewerElement = document.querySelector('#payload-viewer');
+const settingsForm = document.querySelector('#settings-form');
+const settingsStatusElement = document.querySelector('#settings-status');
 const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
+const knownDiagnosticCodes = new Set();
+const expandedDiagnosticGroups = new Set();
+let diagnosticsEntries = [];
+let diagnosticsRefreshTimer = null;
+// Form values as last loaded, so a save sends only the fields that changed.
+let loadedSettingsValues = {};
 
 updateTheme(prefersDark.matches);
 prefersDark.addEventListener('change', (event) => {
@@ -14,6 +79,33 @@ document.querySelectorAll(ACTION_BUTTON_SELECTOR).forEach((button) => {
   });
 });
 
+settingsForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  await saveSettings();
+});
+
+[minSeverityElement, diagnosticsSinceElement, diagnosticsUntilElement, diagnosticsCodesElement].forEach((element) => {
+  element.addEventListener('change', () => scheduleDiagnosticsRefresh());
+});
+diagnosticsSearchElement.addEventListener('input', () => renderDiagnostics(diagnosticsEntries));
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && Object.prototype.hasOwnProperty.call(changes, DIAGNOSTICS_STORAGE_KEY)) {
+    scheduleDiagnosticsRefresh();
+  }
+});
+
+loadHeartbeat();
+loadAgentStatus();
+loadSettings();
+refreshDiagnostics();
+setInterval(() => {
+  // Skip refreshes while the page is in a background tab.
+  if (!document.hidden) {
+    loadAgentStatus();
+  }
+}, STATUS_REFRESH_INTERVAL_MS);
+
 async function handleAction(button) {
   const action = button.dataset.action;
   if (!action) {
@@ -24,16 +116,44 @@ async function handleAction(button) {
   setButtonsDisabled(true);
 
   try {
-    const response = await chrome.runtime.sendMessage({ type: action });
+    const request = { type: action };
+    if (DIAGNOSTICS_FILTER_ACTIONS.includes(action)) {
+      Object.assign(request, readDiagnosticsFilters());
+    }
+
+    const response = await chrome.runtime.sendMessage(request);
     if (!response || response.success === false) {
       const message = response?.message ?? 'Request failed';
       throw new Error(message);
     }
 
     switch (action) {
-      case 'graylog:exportDiagnostics':
+      case 'graylog:exportDiagnostics': {
         renderDiagnostics(response.diagnostics ?? []);
-        setStatus(`Loaded ${response.diagnostics?.length ?? 0} diagnostic entries.`);
+        const count = response.diagnostics?.length ?? 0;
+        if (!button.dataset.download) {
+          setStatus(`Loaded ${count} diagnostic entries.`);
+          break;
+        }
+        const format = EXPORT_FORMATS[exportFormatElement.value] ?? EXPORT_FORMATS.json;
+        downloadFile(
+          `graylog-diagnostics-${formatFileTimestamp()}.${format.extension}`,
+          format.serialize({ header: response.header ?? {}, diagnostics: response.diagnostics ?? [] }),
+          format.mimeType
+        );
+        setStatus(`Downloaded ${count} diagnostic entries as ${format.extension.toUpperCase()}.`);
+        break;
+      }
+      case 'graylog:exportSupportArchive':
+        downloadFile(
+          `graylog-support-${formatFileTimestamp()}.json`,
+          JSON.stringify(response.archive ?? {}, null, 2),
+          'application/json'
+        );
+        setStatus(
+          `Support archive downloaded with ${response.archive?.diagnostics?.length ?? 0} diagnostics ` +
+            `and ${response.archive?.queue?.length ?? 0} queued batches.`
+        );
         break;
       case 'graylog:flushRetryQueue':
         setStatus(`Delivery queue flushed. ${response.remaining ?? 0} entries remaining.`);
@@ -46,6 +166,29 @@ async function handleAction(button) {
         setStatus('Diagnostics cleared.');
         renderDiagnostics([]);
         break;
+      case 'graylog:testEndpoint':
+        setStatus((response.results ?? []).map(formatEndpointTest).join(' '));
+        break;
+      case 'graylog:previewPayload': {
+        const preview = response.preview ?? {};
+        renderJsonViewer('preview', preview);
+        const summary = preview.parts?.length
+          ? `Previewed ${preview.parts.length} part(s), ${preview.messageCount} messages, ` +
+            `${formatBytes(preview.sizes?.total ?? 0)}.`
+          : 'Nothing would be sent right now.';
+        const skipped = (preview.skippedCollectors ?? []).map((entry) => entry.id);
+        setStatus(skipped.length ? `${summary} Not due yet: ${skipped.join(', ')}.` : summary);
+        break;
+      }
+      case 'graylog:harvestNow':
+        if (!response.harvested) {
+          setStatus('A harvest is already in progress; try again shortly.');
+          break;
+        }
+        renderJsonViewer('lastHarvest', response.lastHarvest);
+        setStatus(`Harvest finished: ${formatHarvestOutcome(response.lastHarvest)}.`);
+        await loadAgentStatus();
+        break;
       default:
         setStatus('Action completed.');
         break;
@@ -58,29 +201,519 @@ async function handleAction(button) {
   }
 }
 
+async function loadHeartbeat() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'graylog:getHeartbeat' });
+    if (!response || response.success === false) {
+      throw new Error(response?.message ?? 'Request failed');
+    }
+    heartbeatElement.textContent = formatHeartbeat(response.heartbeat ?? {});
+  } catch (error) {
+    console.error('Failed to load heartbeat status', error);
+    heartbeatElement.textContent = `Heartbeat status unavailable: ${error?.message ?? error}`;
+  }
+}
+
+function formatHeartbeat(heartbeat) {
+  if (heartbeat.intervalMinutes === 0) {
+    return 'Heartbeats are disabled by policy.';
+  }
+
+  const last = heartbeat.lastHeartbeat;
+  const harvestTime = heartbeat.lastSuccessfulHarvestAt ? formatTimestamp(heartbeat.lastSuccessfulHarvestAt) : 'never';
+  const harvest = `Last successful harvest: ${harvestTime}.`;
+  if (!last) {
+    return `No heartbeat sent yet (every ${heartbeat.intervalMinutes} min). ${harvest}`;
+  }
+
+  return `Last heartbeat ${formatTimestamp(last.at)}: ${formatDeliveryOutcome(last)}. ${harvest}`;
+}
+
+function formatDeliveryOutcome(outcome) {
+  if (outcome.delivered) {
+    return `delivered to ${outcome.endpoint}`;
+  }
+
+  const statuses = (outcome.statuses ?? []).filter(Boolean);
+  return `failed (${outcome.failure ?? 'unknown'}${statuses.length > 0 ? `, HTTP ${statuses.join('/')}` : ''})`;
+}
+
+function formatEndpointTest(result) {
+  const endpoint = result.endpoint ?? {};
+  const target = `${endpoint.protocol ?? 'https'}://${endpoint.host ?? 'unknown'}:${endpoint.port ?? ''}`;
+  const latency = typeof result.latencyMs === 'number' ? ` in ${result.latencyMs} ms` : '';
+  if (result.delivered) {
+    return `${target} accepted the test message (HTTP ${result.status})${latency}.`;
+  }
+
+  const reason = ENDPOINT_TEST_FAILURES[result.failure] ?? result.failure ?? 'unknown failure';
+  const status = result.status ? `, HTTP ${result.status}` : '';
+  return `${target} failed: ${reason}${status}${latency}.`;
+}
+
+async function loadAgentStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'graylog:getStatus' });
+    if (!response || response.success === false) {
+      throw new Error(response?.message ?? 'Request failed');
+    }
+    renderAgentStatus(response.status ?? {});
+  } catch (error) {
+    console.error('Failed to load agent status', error);
+    agentStatusUpdatedElement.textContent = `Agent status unavailable: ${error?.message ?? error}`;
+  }
+}
+
+function renderAgentStatus(status) {
+  const queue = status.queue ?? {};
+  const quarantined = queue.quarantined > 0 ? `, ${queue.quarantined} quarantined` : '';
+  const rows = [
+    ['Harvest', status.harvestInProgress ? 'In progress' : 'Idle'],
+    ['Next harvest', formatAlarm(status.alarms?.harvest)],
+    ['Next delivery retry', formatAlarm(status.alarms?.retry)],
+    ['Next heartbeat', formatAlarm(status.alarms?.heartbeat)],
+    ['Next metrics message', formatAlarm(status.alarms?.metrics)],
+    ['Retry queue', `${queue.length ?? 0} batches, ${formatBytes(queue.bytes ?? 0)}${quarantined}`],
+    ['Last harvest', formatHarvestOutcome(status.lastHarvest)],
+    [
+      'Last delivery',
+      status.lastDelivery
+        ? `${formatTimestamp(status.lastDelivery.at)}: ${status.lastDelivery.kind === 'queue' ? 'retry ' : ''}` +
+          formatDeliveryOutcome(status.lastDelivery)
+        : 'none yet'
+    ]
+  ];
+
+  agentStatusElement.replaceChildren(
+    ...rows.flatMap(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      return [term, description];
+    })
+  );
+
+  const sources = status.sources ?? {};
+  agentConfigElement.replaceChildren(
+    ...Object.entries(status.configuration ?? {}).map(([key, value]) => {
+      const row = document.createElement('tr');
+      const source = sources[key] ?? 'derived';
+      row.dataset.source = source;
+      for (const text of [key, source, formatDetails(value)]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      return row;
+    })
+  );
+
+  agentStatusUpdatedElement.textContent = `Updated ${formatTimestamp(status.generatedAt)}.`;
+}
+
+function formatHarvestOutcome(harvest) {
+  if (!harvest) {
+    return 'none yet';
+  }
+
+  const at = formatTimestamp(harvest.finishedAt);
+  switch (harvest.status) {
+    case 'completed':
+      return (
+        `${at}: ${harvest.batches} batches ` +
+        `(${harvest.delivered} delivered, ${harvest.queued} queued, ${harvest.rejected} rejected)`
+      );
+    case 'skipped':
+      return `${at}: skipped (${harvest.reason})`;
+    default:
+      return `${at}: failed (${harvest.message ?? 'unknown error'})`;
+  }
+}
+
+function formatAlarm(value) {
+  return value ? formatTimestamp(value) : 'not scheduled';
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KiB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+}
+
+async function loadSettings() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'graylog:getLocalSettings' });
+    if (!response || response.success === false) {
+      throw new Error(response?.message ?? 'Request failed');
+    }
+    renderSettings(response.settings ?? {}, response.managed ?? {});
+  } catch (error) {
+    console.error('Failed to load local settings', error);
+    settingsStatusElement.textContent = `Local settings unavailable: ${error?.message ?? error}`;
+  }
+}
+
+function renderSettings(settings, managed) {
+  const { elements } = settingsForm;
+  const value = (field) => managed[field] ?? settings[field];
+  const endpoint = value('endpoint') ?? {};
+
+  elements.protocol.value = endpoint.protocol ?? 'https';
+  elements.host.value = endpoint.host ?? '';
+  elements.port.value = endpoint.port ?? '';
+  elements.pollIntervalMinutes.value = value('pollIntervalMinutes') ?? '';
+  elements.guardThresholdMinutes.value = value('guardThresholdMinutes') ?? '';
+  elements.allowedHosts.value = (value('allowedHosts') ?? []).join('\n');
+  elements.allowHttpForTesting.checked = value('allowHttpForTesting') === true;
+  loadedSettingsValues = readSettingsForm();
+
+  settingsForm.querySelectorAll('[data-field]').forEach((container) => {
+    const isManaged = Object.prototype.hasOwnProperty.call(managed, container.dataset.field);
+    container.dataset.managed = String(isManaged);
+    container.querySelectorAll('input, select, textarea').forEach((control) => {
+      control.disabled = isManaged;
+    });
+    container.querySelector('.field-note').textContent = isManaged
+      ? 'Set by managed policy (graylogConfig); change it in the Admin console.'
+      : '';
+  });
+  renderSettingsErrors({});
+}
+
+function readSettingsForm() {
+  const { elements } = settingsForm;
+  // An empty number input clears the local value instead of being read as zero.
+  const readNumber = (control) => (control.value.trim() === '' ? null : Number(control.value));
+  return {
+    endpoint: {
+      protocol: elements.protocol.value,
+      host: elements.host.value.trim(),
+      port: Number(elements.port.value)
+    },
+    pollIntervalMinutes: readNumber(elements.pollIntervalMinutes),
+    guardThresholdMinutes: readNumber(elements.guardThresholdMinutes),
+    allowedHosts: elements.allowedHosts.value
+      .split('\n')
+      .map((host) => host.trim())
+      .filter(Boolean),
+    allowHttpForTesting: elements.allowHttpForTesting.checked
+  };
+}
+
+async function saveSettings() {
+  // Managed fields are never sent; the service worker would ignore them anyway.
+  // Unchanged fields are left out so a stale stored value cannot block a save.
+  const settings = Object.fromEntries(
+    Object.entries(readSettingsForm()).filter(
+      ([field, value]) =>
+        settingsForm.querySelector(`[data-field="${field}"]`)?.dataset.managed !== 'true' &&
+        JSON.stringify(value) !== JSON.stringify(loadedSettingsValues[field])
+    )
+  );
+  if (Object.keys(settings).length === 0) {
+    renderSettingsErrors({});
+    settingsStatusElement.textContent = 'No changes to save.';
+    return;
+  }
+
+  settingsStatusElement.textContent = 'Saving…';
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'graylog:saveLocalSettings', settings });
+    if (!response || response.success === false) {
+      throw new Error(response?.message ?? 'Request failed');
+    }
+
+    renderSettingsErrors(response.errors ?? {});
+    if (!response.saved) {
+      settingsStatusElement.textContent = 'Settings were not saved. Fix the highlighted fields.';
+      return;
+    }
+
+    settingsStatusElement.textContent = 'Settings saved.';
+    await loadSettings();
+    await loadAgentStatus();
+  } catch (error) {
+    console.error('Failed to save local settings', error);
+    settingsStatusElement.textContent = `Failed: ${error?.message ?? error}`;
+  }
+}
+
+function renderSettingsErrors(errors) {
+  settingsForm.querySelectorAll('[data-field]').forEach((container) => {
+    const fieldErrors = errors[container.dataset.field] ?? [];
+    container.classList.toggle('field--invalid', fieldErrors.length > 0);
+    container.querySelector('.field-error').textContent = fieldErrors.map(describeSettingsError).join(' ');
+  });
+}
+
+function describeSettingsError(error) {
+  // Per-host errors arrive as "<code>:<host>", per-entry errors as "<entry>:<code>".
+  const [head, tail] = error.split(/:(.*)/s);
+  if (SETTINGS_ERROR_MESSAGES[head]) {
+    return tail ? `${tail}: ${SETTINGS_ERROR_MESSAGES[head]}` : SETTINGS_ERROR_MESSAGES[head];
+  }
+  if (tail && SETTINGS_ERROR_MESSAGES[tail]) {
+    return `${head}: ${SETTINGS_ERROR_MESSAGES[tail]}`;
+  }
+  return error;
+}
+
+function readDiagnosticsFilters() {
+  const filters = {};
+  if (minSeverityElement.value) {
+    filters.minSeverity = minSeverityElement.value;
+  }
+  // datetime-local values carry no zone, so they are read as local time.
+  if (diagnosticsSinceElement.value) {
+    filters.since = new Date(diagnosticsSinceElement.value).toISOString();
+  }
+  if (diagnosticsUntilElement.value) {
+    filters.until = new Date(diagnosticsUntilElement.value).toISOString();
+  }
+  const codes = [...diagnosticsCodesElement.selectedOptions].map((option) => option.value);
+  if (codes.length > 0) {
+    filters.codes = codes;
+  }
+  return filters;
+}
+
+function buildExportRecords({ header, diagnostics }) {
+  return [header, ...diagnostics.map((entry) => ({ recordType: 'diagnostic', ...entry }))];
+}
+
+function formatDiagnosticsCsv(exported) {
+  const records = buildExportRecords(exported).map((record) => flattenRecord(record));
+  const columns = [
+    ...new Set([
+      'recordType',
+      'timestamp',
+      'code',
+      'severity',
+      'category',
+      'description',
+      ...records.flatMap((record) => Object.keys(record))
+    ])
+  ];
+  const rows = [columns, ...records.map((record) => columns.map((column) => record[column]))];
+  return `${rows.map((row) => row.map(formatCsvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function flattenRecord(value, prefix = '', target = {}) {
+  Object.entries(value ?? {}).forEach(([key, entry]) => {
+    const column = `${prefix}${key}`;
+    if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+      flattenRecord(entry, `${column}.`, target);
+    } else {
+      target[column] = Array.isArray(entry) ? JSON.stringify(entry) : entry;
+    }
+  });
+  return target;
+}
+
+function formatCsvCell(value) {
+  if (value == null) {
+    return '';
+  }
+
+  let text = String(value);
+  // Spreadsheets evaluate cells that start with these characters as formulas.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function formatFileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function renderJsonViewer(label, value) {
+  payloadViewerElement.replaceChildren(renderJsonNode(label, value, true));
+}
+
+function renderJsonNode(key, value, expanded = false) {
+  if (!value || typeof value !== 'object') {
+    const leaf = document.createElement('div');
+    leaf.className = 'json-viewer__leaf';
+    leaf.textContent = `${key}: ${JSON.stringify(value) ?? 'undefined'}`;
+    return leaf;
+  }
+
+  const entries = Object.entries(value);
+  const node = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = `${key}: ${Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`}`;
+  node.appendChild(summary);
+
+  // Children are built on first expand so large log arrays stay cheap to render.
+  const populate = () => {
+    if (node.dataset.rendered) {
+      return;
+    }
+    node.dataset.rendered = 'true';
+    entries.forEach(([childKey, childValue]) => node.appendChild(renderJsonNode(childKey, childValue)));
+  };
+  node.addEventListener('toggle', () => {
+    if (node.open) {
+      populate();
+    }
+  });
+  if (expanded) {
+    node.open = true;
+    populate();
+  }
+  return node;
+}
+
+function scheduleDiagnosticsRefresh() {
+  // Bursts of diagnostics arrive as separate storage writes; refresh once per burst.
+  clearTimeout(diagnosticsRefreshTimer);
+  diagnosticsRefreshTimer = setTimeout(refreshDiagnostics, DIAGNOSTICS_REFRESH_DELAY_MS);
+}
+
+async function refreshDiagnostics() {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'graylog:listDiagnostics',
+      ...readDiagnosticsFilters()
+    });
+    if (!response || response.success === false) {
+      throw new Error(response?.message ?? 'Request failed');
+    }
+    renderDiagnostics(response.diagnostics ?? []);
+  } catch (error) {
+    console.error('Failed to refresh diagnostics', error);
+  }
+}
+
 function renderDiagnostics(entries) {
+  diagnosticsEntries = Array.isArray(entries) ? entries : [];
+  updateDiagnosticCodeOptions(diagnosticsEntries);
   diagnosticsContainer.replaceChildren();
 
-  if (!Array.isArray(entries) || entries.length === 0) {
+  const query = diagnosticsSearchElement.value.trim().toLowerCase();
+  const matching = diagnosticsEntries.filter((entry) => !query || matchesDiagnosticSearch(entry, query));
+  if (matching.length === 0) {
     const empty = document.createElement('li');
-    empty.textContent = 'No diagnostics available.';
+    empty.textContent =
+      diagnosticsEntries.length === 0 ? 'No diagnostics available.' : 'No diagnostics match the search.';
     diagnosticsContainer.appendChild(empty);
     return;
   }
 
-  entries
-    .slice()
-    .sort((a, b) => {
-      const aTime = Date.parse(a?.timestamp ?? '') || 0;
-      const bTime = Date.parse(b?.timestamp ?? '') || 0;
-      return bTime - aTime;
+  const sorted = matching.slice().sort((a, b) => {
+    const aTime = Date.parse(a?.timestamp ?? '') || 0;
+    const bTime = Date.parse(b?.timestamp ?? '') || 0;
+    return bTime - aTime;
+  });
+  groupConsecutiveDiagnostics(sorted).forEach((group) => {
+    diagnosticsContainer.appendChild(
+      group.length === 1 ? renderDiagnosticEntry(group[0]) : renderDiagnosticGroup(group)
+    );
+  });
+}
+
+function updateDiagnosticCodeOptions(entries) {
+  const previousSize = knownDiagnosticCodes.size;
+  entries.forEach((entry) => {
+    if (entry?.code) {
+      knownDiagnosticCodes.add(entry.code);
+    }
+  });
+  if (knownDiagnosticCodes.size === previousSize && diagnosticsCodesElement.options.length > 0) {
+    return;
+  }
+
+  // Codes are remembered across refreshes so a code filter never hides its own option.
+  const selected = new Set([...diagnosticsCodesElement.selectedOptions].map((option) => option.value));
+  diagnosticsCodesElement.replaceChildren(
+    ...[...knownDiagnosticCodes].sort().map((code) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = code;
+      option.selected = selected.has(code);
+      return option;
     })
-    .forEach((entry) => diagnosticsContainer.appendChild(renderDiagnosticEntry(entry)));
+  );
+}
+
+function matchesDiagnosticSearch(entry, query) {
+  return [entry?.code, entry?.description, entry?.category, formatDetails(entry?.details ?? {})].some((text) =>
+    String(text ?? '').toLowerCase().includes(query)
+  );
+}
+
+function groupConsecutiveDiagnostics(entries) {
+  const groups = [];
+  entries.forEach((entry) => {
+    const current = groups[groups.length - 1];
+    if (current && current[0]?.code === entry?.code) {
+      current.push(entry);
+    } else {
+      groups.push([entry]);
+    }
+  });
+  return groups;
+}
+
+function renderDiagnosticGroup(group) {
+  // Entries are sorted newest first, so the group's last element is its first occurrence.
+  const [latest] = group;
+  const first = group[group.length - 1];
+  const groupKey = `${first?.code}|${first?.timestamp}`;
+  const element = renderDiagnosticEntry(latest);
+  element.classList.add('diagnostic-entry--group');
+
+  const count = document.createElement('span');
+  count.className = 'diagnostic-entry__count';
+  count.textContent = `×${group.length}`;
+  element.querySelector('.diagnostic-entry__code').appendChild(count);
+  element.querySelector('.diagnostic-entry__timestamp').textContent =
+    `${formatTimestamp(first?.timestamp)} – ${formatTimestamp(latest?.timestamp)}`;
+
+  const occurrences = document.createElement('details');
+  occurrences.open = expandedDiagnosticGroups.has(groupKey);
+  occurrences.addEventListener('toggle', () => {
+    if (occurrences.open) {
+      expandedDiagnosticGroups.add(groupKey);
+    } else {
+      expandedDiagnosticGroups.delete(groupKey);
+    }
+  });
+
+  const summary = document.createElement('summary');
+  summary.textContent = `Show all ${group.length} occurrences`;
+  occurrences.appendChild(summary);
+  group.forEach((entry) => {
+    const occurrence = document.createElement('pre');
+    occurrence.textContent = `${formatTimestamp(entry?.timestamp)}\n${formatDetails(entry?.details ?? {})}`;
+    occurrences.appendChild(occurrence);
+  });
+  element.appendChild(occurrences);
+
+  return element;
 }
 
 function renderDiagnosticEntry(entry) {
   const element = document.createElement('li');
   element.className = 'diagnostic-entry';
+  if (entry?.severity) {
+    element.dataset.severity = entry.severity;
+  }
 
   const header = document.createElement('div');
   header.className = 'diagnostic-entry__header';
@@ -88,8 +721,16 @@ function renderDiagnosticEntry(entry) {
   const code = document.createElement('span');
   code.className = 'diagnostic-entry__code';
   code.textContent = entry?.code ?? 'unknown';
+  if (entry?.description) {
+    code.title = entry.description;
+  }
   header.appendChild(code);
 
+  const classification = document.createElement('span');
+  classification.className = 'diagnostic-entry__severity';
+  classification.textContent = [entry?.severity, entry?.category].filter(Boolean).join(' · ');
+  header.appendChild(classification);
+
   const timestamp = document.createElement('span');
   timestamp.className = 'diagnostic-entry__timestamp';
   timestamp.textContent = formatTimestamp(entry?.timestamp);
@@ -4,26 +4,295 @@
 
 const HARVEST_ALARM_NAME = 'log-collector';
 const RETRY_ALARM_NAME = 'log-delivery-retry';
+const HEARTBEAT_ALARM_NAME = 'agent-heartbeat';
+const METRICS_ALARM_NAME = 'agent-metrics';
 const DEFAULT_POLL_INTERVAL_MINUTES = 5;
+const MAX_POLL_INTERVAL_MINUTES = 24 * 60;
 const DEFAULT_GUARD_THRESHOLD_MINUTES = 10;
 const DEFAULT_ENDPOINT = Object.freeze({ host: '', port: 12201, protocol: 'https' });
 const GRAYLOG_SETTINGS_STORAGE_KEY = 'graylogSettings';
 const GRAYLOG_ENDPOINT_STORAGE_KEY = 'graylogEndpoint'; // Legacy key retained for backwards compatibility.
+// Settings the options page may edit on devices without a managed policy for them.
+const LOCAL_SETTINGS_EDITABLE_FIELDS = Object.freeze([
+  'endpoint',
+  'pollIntervalMinutes',
+  'guardThresholdMinutes',
+  'allowedHosts',
+  'allowHttpForTesting'
+]);
 const GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY = 'graylogDeliveryQueue';
+const COMPRESSION_FALLBACK_STORAGE_KEY = 'graylogCompressionFallback';
+const ENDPOINT_HEALTH_STORAGE_KEY = 'graylogEndpointHealth';
+const ACKNOWLEDGED_DELIVERIES_STORAGE_KEY = 'graylogAcknowledgedDeliveries';
+const METRICS_STORAGE_KEY = 'graylogAgentMetrics';
+const HEARTBEAT_STORAGE_KEY = 'graylogHeartbeat';
+const AGENT_STATUS_STORAGE_KEY = 'graylogAgentStatus';
+const DIAGNOSTICS_STREAM_STORAGE_KEY = 'graylogDiagnosticsStream';
+const COLLECTION_CURSORS_STORAGE_KEY = 'graylogCollectionCursors';
+const COLLECTOR_HEALTH_STORAGE_KEY = 'graylogCollectorHealth';
 const DIAGNOSTICS_STORAGE_KEY = 'graylogDiagnostics';
 const MAX_DIAGNOSTIC_ENTRIES = 100;
-const DIAGNOSTIC_RETENTION_DAYS = 30;
-const MAX_DELIVERY_QUEUE_LENGTH = 6;
-const MAX_DELIVERY_ATTEMPTS = 5;
+const DIAGNOSTIC_SEVERITY_LEVELS = Object.freeze({
+  emergency: 0,
+  alert: 1,
+  critical: 2,
+  error: 3,
+  warning: 4,
+  notice: 5,
+  info: 6,
+  debug: 7
+});
+// Failures are kept longer than routine events; low severities are also
+// evicted first once the entry cap is reached.
+const DIAGNOSTIC_RETENTION_DAYS_BY_SEVERITY = Object.freeze({
+  emergency: 90,
+  alert: 90,
+  critical: 90,
+  error: 90,
+  warning: 30,
+  notice: 30,
+  info: 7,
+  debug: 1
+});
+const UNREGISTERED_DIAGNOSTIC = Object.freeze({ severity: 'warning', category: null, description: '' });
+const DIAGNOSTICS_STREAM_MAX_PER_HOUR = 60;
+const DIAGNOSTICS_STREAM_WINDOW_MS = 60 * 60 * 1000;
+// The IndexedDB queue is bounded by bytes first; the batch count only caps
+// index size. Both defaults replace the in-memory limits of 6 batches and 5
+// attempts, which dropped data within minutes of an outage.
+const DEFAULT_QUEUE_MAX_BATCHES = 10000;
+const MAX_QUEUE_MAX_BATCHES = 100000;
+const DEFAULT_MAX_DELIVERY_ATTEMPTS = 100; // Roughly four days once backoff reaches its one-hour cap.
+const MAX_DELIVERY_ATTEMPTS_CEILING = 1000;
+const DEFAULT_QUEUE_MAX_MEGABYTES = 50;
+const MAX_QUEUE_MAX_MEGABYTES = 1024;
+const QUEUE_DATABASE_NAME = 'graylogAgent';
+const QUEUE_DATABASE_VERSION = 1;
+const QUEUE_ENTRY_STORE = 'deliveryQueue';
+const QUEUE_INDEX_STORE = 'deliveryQueueIndex';
+const MAX_ACKNOWLEDGED_DELIVERIES = 1000;
+const ACKNOWLEDGED_DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // Outlives the retry window of a queued batch.
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
 const BACKOFF_BASE_MS = 30 * 1000;
 const MAX_BACKOFF_DELAY_MS = 60 * 60 * 1000;
-const PAYLOAD_SIZE_LIMIT_BYTES = 512 * 1024;
+const PAYLOAD_SIZE_LIMIT_BYTES = 512 * 1024; // Upper bound for a single delivery batch.
+const HARVEST_SIZE_LIMIT_BYTES = 2 * 1024 * 1024; // Harvests above this are split into correlated parts.
+const HARVEST_PART_OVERHEAD_BYTES = 512; // Room for part metadata added to each part.
+const DEFAULT_MAX_MESSAGES_PER_BATCH = 250;
+const MAX_MESSAGES_PER_BATCH_CEILING = 1000;
+const COMPRESSION_MODES = Object.freeze(['none', 'gzip']);
+const DEFAULT_COMPRESSION = 'none';
+const GZIP_BATCH_EXPANSION_FACTOR = 4; // Uncompressed bytes grouped per batch before gzip.
+const COMPRESSION_REJECTION_STATUSES = Object.freeze([400, 415]);
+// Failure classes ordered by how much hope remains for the batch: transient
+// failures retry, oversized batches split, and endpoint misconfiguration
+// quarantines the batch until policy changes; only outright rejection drops it.
+const DELIVERY_FAILURE_PRECEDENCE = Object.freeze([
+  'transient',
+  'too-large',
+  'unauthorized',
+  'not-found',
+  'unexpected-status',
+  'undecodable',
+  'rejected'
+]);
+const QUARANTINE_FAILURES = Object.freeze(['unauthorized', 'not-found', 'unexpected-status', 'undecodable']);
+const MAX_RETRY_AFTER_MS = 24 * 60 * 60 * 1000;
+const COMPRESSION_FALLBACK_TTL_MS = 24 * 60 * 60 * 1000;
+const AUTH_TYPES = Object.freeze(['bearer', 'basic', 'headers']);
+const HTTP_HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const SIGNATURE_HEADER_NAME = 'X-Graylog-Agent-Signature';
+const SIGNATURE_TIMESTAMP_HEADER_NAME = 'X-Graylog-Agent-Timestamp';
+const SIGNATURE_NONCE_HEADER_NAME = 'X-Graylog-Agent-Nonce';
+const IDEMPOTENCY_KEY_HEADER_NAME = 'Idempotency-Key';
+const RESERVED_AUTH_HEADER_NAMES = Object.freeze([
+  'content-type',
+  'content-encoding',
+  'content-length',
+  'host',
+  SIGNATURE_HEADER_NAME.toLowerCase(),
+  SIGNATURE_TIMESTAMP_HEADER_NAME.toLowerCase(),
+  SIGNATURE_NONCE_HEADER_NAME.toLowerCase(),
+  IDEMPOTENCY_KEY_HEADER_NAME.toLowerCase()
+]);
+const SIGNING_KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MIN_SIGNING_SECRET_LENGTH = 32;
+const MAX_ACTIVE_SIGNING_KEYS = 2; // Old and new key overlap during rotation.
+const MAX_ENDPOINTS = 5;
+const ENDPOINT_COOLDOWN_BASE_MS = 60 * 1000;
+const MAX_ENDPOINT_COOLDOWN_MS = 30 * 60 * 1000;
+const CIRCUIT_STATES = Object.freeze(['closed', 'open', 'half-open']);
+const DEFAULT_CIRCUIT_FAILURE_THRESHOLD = 3;
+const MAX_CIRCUIT_FAILURE_THRESHOLD = 20;
+const CIRCUIT_PROBE_STALE_MS = 60 * 1000; // A probe abandoned by a worker restart is retried after this.
+const INITIAL_LOG_EVENT_WINDOW_MS = 60 * 60 * 1000;
+const MAX_LOG_EVENT_CATCH_UP_MS = 24 * 60 * 60 * 1000;
+const MAX_CURSOR_EVENT_HASHES = 200;
+const MAX_SYSTEM_LOG_CATCH_UP_LINES = 5000;
+const SYSTEM_LOG_MARKER_CONTEXT_LINES = 5; // Trailing lines hashed into a resume marker.
+const DEFAULT_COLLECTOR_TIMEOUT_MS = 30 * 1000;
+const MAX_COLLECTOR_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_COLLECTOR_INTERVAL_MINUTES = 24 * 60;
+const ALARM_DUE_TOLERANCE_MS = 30 * 1000; // Alarms fire late by a few seconds; avoid skipping a whole cycle.
+const METRIC_COUNTERS = Object.freeze([
+  'harvestsRun',
+  'harvestsSkippedOverlap',
+  'harvestsSkippedOffline',
+  'harvestsFailed',
+  'payloadsSent',
+  'messagesSent',
+  'bytesSent',
+  'queueTrims',
+  'queueTrimmedBatches',
+  'deliveriesAbandoned'
+]);
+const MAX_LATENCY_SAMPLES = 200; // Percentiles cover the most recent successful deliveries.
+const DEFAULT_METRICS_INTERVAL_MINUTES = 60;
+const MAX_METRICS_INTERVAL_MINUTES = 24 * 60;
+const DEFAULT_HEARTBEAT_INTERVAL_MINUTES = 15;
+const MAX_HEARTBEAT_INTERVAL_MINUTES = 24 * 60;
+const CONFIG_FINGERPRINT_LENGTH = 16;
+const REDACTION_ACTIONS = Object.freeze(['mask', 'drop', 'hash']);
+const REDACTION_RULE_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const REDACTION_ALLOWED_FLAGS = /^[imsu]*$/;
+const MAX_REDACTION_RULES = 50;
+const MAX_REDACTION_PATTERN_LENGTH = 500;
+const REDACTION_HASH_LENGTH = 16;
+// Built-in detectors run in this order; `valueGroup` limits replacement to one capture group.
+const REDACTION_DETECTORS = Object.freeze([
+  { id: 'urlQuery', pattern: /(\bhttps?:\/\/[^\s?#"'<>]+\?)([^\s#"'<>]+)/g, valueGroup: 2 },
+  { id: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { id: 'mac', pattern: /\b[0-9A-Fa-f]{2}(?:[:-][0-9A-Fa-f]{2}){5}\b/g },
+  {
+    id: 'ipv6',
+    pattern:
+      /(?<![\w:])(?:(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}|(?:[0-9A-Fa-f]{1,4}:){1,7}:(?:[0-9A-Fa-f]{1,4}(?::[0-9A-Fa-f]{1,4}){0,6})?|::(?:[0-9A-Fa-f]{1,4}(?::[0-9A-Fa-f]{1,4}){0,7})?)(?![\w:])/g
+  },
+  { id: 'ipv4', pattern: /\b(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}\b/g },
+  { id: 'serial', pattern: /(\bserial(?:[ _-]?(?:number|no))?\s*[:=]\s*)([A-Za-z0-9-]{6,})/gi, valueGroup: 2 }
+]);
+const SECRET_DETAIL_KEY_PATTERN = /authorization|token|password|secret|salt|api[-_]?key|cookie|credential/i;
+const REDACTED_PLACEHOLDER = '[redacted]';
 const HOSTNAME_PATTERN = /^[a-zA-Z0-9.-]+$/;
-const MAX_STORAGE_BUDGET_BYTES = 4 * 1024 * 1024; // Safety margin below Chrome's 5 MiB quota.
-const DIAGNOSTIC_RETENTION_WINDOW_MS = DIAGNOSTIC_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const GELF_VERSION = '1.1';
+const GELF_FACILITY = 'chromeos-graylog-agent';
+const DIAGNOSTICS_GELF_FACILITY = 'graylog-agent-diagnostics';
+const GELF_LEVEL_WARNING = 4;
+const GELF_LEVEL_INFO = 6;
+const GELF_FALLBACK_HOST = 'chromeos-device';
+const GELF_MAX_FIELD_DEPTH = 5; // Deeper structures are serialized into a single field.
+const GELF_SHORT_MESSAGE_MAX_LENGTH = 250;
+
+// Every diagnostic code the agent records, grouped by category, with its syslog
+// severity and a description for administrators.
+const DIAGNOSTIC_CODES = defineDiagnosticCodes({
+  policy: {
+    'policy-configuration-updated': ['info', 'Managed policy changed and the configuration was reloaded.'],
+    'collection-plan': ['info', 'Effective collectors, fields, cadence, and timeouts after policy merge.'],
+    'endpoint-missing': ['error', 'No valid Graylog endpoint is configured, so harvests are skipped.'],
+    'host-permission-mismatch': [
+      'warning',
+      'Allowed hosts are missing from the manifest host permissions and were ignored.'
+    ],
+    'managed-endpoint-invalid': ['error', 'The managed endpoint or endpoints list failed validation.'],
+    'local-endpoint-invalid': ['warning', 'The local endpoint settings failed validation.'],
+    'managed-auth-invalid': ['error', 'The managed auth block failed validation.'],
+    'local-auth-invalid': ['warning', 'The local auth block failed validation.'],
+    'managed-signing-invalid': ['error', 'The managed signing block failed validation.'],
+    'local-signing-invalid': ['warning', 'The local signing block failed validation.'],
+    'local-credentials-ignored': [
+      'warning',
+      'Local settings carried auth or signing blocks, which only policy may set.'
+    ],
+    'managed-redaction-invalid': ['error', 'The managed redaction block failed validation.'],
+    'local-redaction-invalid': ['warning', 'The local redaction block failed validation.'],
+    'managed-collectors-invalid': ['error', 'The managed collectors block failed validation.'],
+    'local-collectors-invalid': ['warning', 'The local collectors block failed validation.'],
+    'managed-circuit-breaker-invalid': ['error', 'The managed circuitBreaker block failed validation.'],
+    'local-circuit-breaker-invalid': ['warning', 'The local circuitBreaker block failed validation.']
+  },
+  collection: {
+    'device-offline': ['notice', 'The device was offline, so the harvest was skipped.'],
+    'harvest-failed': ['error', 'A harvest aborted with an unexpected error.'],
+    'api-error': ['warning', 'A Chrome API call made during collection failed.'],
+    'collector-timeout': ['warning', 'A collector exceeded its timeout and its result was discarded.'],
+    'collector-failed': ['error', 'A collector threw an error.'],
+    'device-attributes-unavailable': ['warning', 'The enterprise device attributes API is unavailable.'],
+    'device-attributes-empty': ['notice', 'The device attributes API returned no values.'],
+    'log-private-unavailable': ['warning', 'The logPrivate API is unavailable.'],
+    'collection-window-bounded': ['notice', 'Log event collection was limited to the maximum catch-up window.'],
+    'payload-redacted': ['info', 'Redaction rules masked, dropped, or hashed values in the payload.'],
+    'payload-split': ['notice', 'An oversized harvest was split into correlated parts.'],
+    'payload-data-dropped': ['warning', 'Log events or artifacts too large for any part were dropped.']
+  },
+  delivery: {
+    'delivery-queued': ['info', 'A batch was queued for retry.'],
+    'delivery-failed': ['warning', 'An endpoint failed to accept a batch.'],
+    'delivery-failover': ['notice', 'Delivery moved on to the next configured endpoint.'],
+    'delivery-aborted-offline': ['notice', 'Delivery was skipped because the device is offline.'],
+    'delivery-short-circuited': [
+      'warning',
+      'Every endpoint circuit was open, so the harvest went straight to the queue.'
+    ],
+    'delivery-batch-split': ['notice', 'A batch rejected as too large was split in half.'],
+    'delivery-rejected': ['error', 'A batch was permanently rejected by the endpoint and dropped.'],
+    'delivery-quarantined': ['error', 'A batch was quarantined until configuration changes.'],
+    'delivery-quarantine-released': ['notice', 'Quarantined batches were released for another attempt.'],
+    'delivery-abandoned': ['error', 'A batch exhausted its retry attempts and was dropped.'],
+    'delivery-dropped': ['error', 'A batch could not be written to the retry queue and was lost.'],
+    'delivery-destinations-reassigned': [
+      'notice',
+      'A queued batch was reassigned to the currently configured endpoints.'
+    ],
+    'delivery-already-acknowledged': ['notice', 'A queued batch had already been acknowledged and was not re-sent.'],
+    'serialization-failed': ['error', 'A batch could not be serialized for delivery.'],
+    'decompression-failed': ['error', 'A compressed batch could not be decompressed.'],
+    'signing-failed': ['error', 'Computing the request signature failed.'],
+    'signing-no-active-key': ['error', 'No signing key is currently valid, so delivery was held back.'],
+    'compression-unavailable': ['warning', 'CompressionStream is unavailable, so batches are sent uncompressed.'],
+    'compression-failed': ['warning', 'Compressing a batch failed, so it is sent uncompressed.'],
+    'compression-rejected': ['warning', 'An endpoint rejected a compressed body; it is retried uncompressed.'],
+    'compression-disabled-for-endpoint': [
+      'warning',
+      'Compression is disabled for an endpoint that only accepts uncompressed bodies.'
+    ],
+    'gelf-message-split': ['notice', 'A GELF message above the batch limit was split into parts.'],
+    'circuit-opened': ['warning', 'An endpoint circuit opened after consecutive failures.'],
+    'circuit-reopened': ['warning', 'A half-open probe failed and the circuit reopened with a longer cooldown.'],
+    'circuit-half-open': ['notice', 'A probe delivery is being sent to an endpoint after its cooldown.'],
+    'circuit-closed': ['notice', 'An endpoint recovered and its circuit closed.'],
+    'heartbeat-failed': ['warning', 'A heartbeat could not be delivered.'],
+    'diagnostics-stream-failed': ['warning', 'Forwarding diagnostics to Graylog failed; they are offered again later.']
+  },
+  storage: {
+    'storage-local-get-failed': ['error', 'Reading chrome.storage.local failed.'],
+    'storage-local-set-failed': ['error', 'Writing chrome.storage.local failed.'],
+    'delivery-queue-storage-failed': ['error', 'An IndexedDB delivery queue operation failed.'],
+    'delivery-queue-trimmed': [
+      'warning',
+      'The delivery queue exceeded its budget and the oldest batches were evicted.'
+    ],
+    'delivery-queue-migrated': ['info', 'Legacy queue entries were moved into IndexedDB.'],
+    'diagnostics-retention-pruned': ['debug', 'Diagnostics older than their retention window were removed.']
+  },
+  admin: {
+    'delivery-queue-cleared': ['notice', 'An administrator cleared the delivery queue.'],
+    'delivery-queue-flush-requested': ['info', 'An administrator forced a delivery queue flush.'],
+    'metrics-reset': ['info', 'An administrator reset the agent metrics.'],
+    'local-settings-updated': ['notice', 'An administrator changed the local settings from the options page.'],
+    'endpoint-test': ['info', 'An administrator sent a connection test message to an endpoint.'],
+    'payload-previewed': ['info', 'An administrator previewed the payload of the next harvest.'],
+    'harvest-requested': ['info', 'An administrator requested an immediate harvest.'],
+    'support-archive-exported': ['info', 'An administrator exported a support archive.']
+  }
+});
 
 const transientDiagnostics = [];
 const manifestHostPermissionMatchers = buildManifestHostPermissionMatchers();
+const collectorRegistry = new Map();
+const collectorResultCache = new Map();
+
+registerBuiltInCollectors();
 
 enforceDiagnosticRetention().catch((error) => {
   console.warn('[ChromeOS Graylog Agent] Failed to enforce diagnostic retention on startup', error);
@@ -32,7 +301,14 @@ enforceDiagnosticRetention().catch((error) => {
 let harvestInProgress = false;
 let harvestGuardTimer = null;
 let deliveryFlushInProgress = false;
+let diagnosticsStreamInProgress = false;
 let runtimeConfiguration = null;
+let compressionFallbacks = null;
+let endpointHealth = null;
+let acknowledgedDeliveries = null;
+let agentMetrics = null;
+let queueDatabase = null;
+let legacyQueueMigration = null;
 
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
@@ -41,12 +317,16 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 
   runtimeConfiguration = null;
   await ensureLogCollectionAlarm(true);
+  await ensureHeartbeatAlarm(true);
+  await ensureMetricsAlarm(true);
   await flushDeliveryQueue();
 });
 
 chrome.runtime.onStartup.addListener(async () => {
   runtimeConfiguration = null;
   await ensureLogCollectionAlarm(true);
+  await ensureHeartbeatAlarm(true);
+  await ensureMetricsAlarm(true);
   await flushDeliveryQueue();
 });
 
@@ -64,12 +344,16 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
 
   runtimeConfiguration = null;
   await ensureLogCollectionAlarm(true);
+  await ensureHeartbeatAlarm(true);
+  await ensureMetricsAlarm(true);
 
   if (managedUpdated) {
     await recordDiagnostic('policy-configuration-updated');
   }
 
   if (managedUpdated || localUpdated) {
+    // Quarantined batches were refused for endpoint configuration reasons.
+    await releaseQuarantinedEntries(managedUpdated ? 'policy-update' : 'settings-update');
     await flushDeliveryQueue();
   }
 });
@@ -82,6 +366,16 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 
   if (alarm.name === RETRY_ALARM_NAME) {
     await flushDeliveryQueue();
+    return;
+  }
+
+  if (alarm.name === HEARTBEAT_ALARM_NAME) {
+    await sendHeartbeat();
+    return;
+  }
+
+  if (alarm.name === METRICS_ALARM_NAME) {
+    await sendAgentMetrics();
   }
 });
 
@@ -109,7 +403,15 @@ async function initializeDefaultSettings() {
     pollIntervalMinutes: DEFAULT_POLL_INTERVAL_MINUTES,
     guardThresholdMinutes: DEFAULT_GUARD_THRESHOLD_MINUTES,
     allowHttpForTesting: false,
-    allowedHosts: []
+    allowedHosts: [],
+    maxMessagesPerBatch: DEFAULT_MAX_MESSAGES_PER_BATCH,
+    compression: DEFAULT_COMPRESSION,
+    queueMaxMegabytes: DEFAULT_QUEUE_MAX_MEGABYTES,
+    queueMaxBatches: DEFAULT_QUEUE_MAX_BATCHES,
+    maxDeliveryAttempts: DEFAULT_MAX_DELIVERY_ATTEMPTS,
+    metricsIntervalMinutes: DEFAULT_METRICS_INTERVAL_MINUTES,
+    heartbeatIntervalMinutes: DEFAULT_HEARTBEAT_INTERVAL_MINUTES,
+    forwardDiagnostics: true
   };
 
   await setStorageLocal({
@@ -120,10 +422,36 @@ async function initializeDefaultSettings() {
 
 async function ensureLogCollectionAlarm(forceUpdate = false) {
   const config = await getRuntimeConfiguration();
-  const pollIntervalMinutes = sanitizePollInterval(config.pollIntervalMinutes);
+  await ensurePeriodicAlarm(HARVEST_ALARM_NAME, sanitizePollInterval(config.pollIntervalMinutes), forceUpdate);
+}
+
+async function ensureHeartbeatAlarm(forceUpdate = false) {
+  const { heartbeatIntervalMinutes } = await getRuntimeConfiguration();
+  if (heartbeatIntervalMinutes === 0) {
+    await new Promise((resolve) => {
+      chrome.alarms.clear(HEARTBEAT_ALARM_NAME, () => resolve());
+    });
+    return;
+  }
 
+  await ensurePeriodicAlarm(HEARTBEAT_ALARM_NAME, heartbeatIntervalMinutes, forceUpdate);
+}
+
+async function ensureMetricsAlarm(forceUpdate = false) {
+  const { metricsIntervalMinutes } = await getRuntimeConfiguration();
+  if (metricsIntervalMinutes === 0) {
+    await new Promise((resolve) => {
+      chrome.alarms.clear(METRICS_ALARM_NAME, () => resolve());
+    });
+    return;
+  }
+
+  await ensurePeriodicAlarm(METRICS_ALARM_NAME, metricsIntervalMinutes, forceUpdate);
+}
+
+async function ensurePeriodicAlarm(name, periodInMinutes, forceUpdate) {
   await new Promise((resolve) => {
-    chrome.alarms.get(HARVEST_ALARM_NAME, (existingAlarm) => {
+    chrome.alarms.get(name, (existingAlarm) => {
       if (chrome.runtime.lastError) {
         console.warn('[ChromeOS Graylog Agent] Failed to inspect alarms', chrome.runtime.lastError);
         resolve();
@@ -134,15 +462,15 @@ async function ensureLogCollectionAlarm(forceUpdate = false) {
         !forceUpdate &&
         existingAlarm &&
         typeof existingAlarm.periodInMinutes === 'number' &&
-        Math.abs(existingAlarm.periodInMinutes - pollIntervalMinutes) < 0.01
+        Math.abs(existingAlarm.periodInMinutes - periodInMinutes) < 0.01
       ) {
         resolve();
         return;
       }
 
-      chrome.alarms.create(HARVEST_ALARM_NAME, {
+      chrome.alarms.create(name, {
         delayInMinutes: 1,
-        periodInMinutes: pollIntervalMinutes
+        periodInMinutes
       });
       resolve();
     });
@@ -154,10 +482,14 @@ async function scheduleLogHarvest() {
     console.warn(
       '[ChromeOS Graylog Agent] Previous harvest still in progress; skipping this cycle to avoid overlap.'
     );
+    await incrementMetric('harvestsSkippedOverlap');
     return;
   }
 
   harvestInProgress = true;
+  await incrementMetric('harvestsRun');
+  const startedAt = Date.now();
+  let outcome = null;
 
   try {
     const config = await getRuntimeConfiguration();
@@ -172,10 +504,10 @@ async function scheduleLogHarvest() {
       harvestGuardTimer = null;
     }, guardThresholdMs);
 
-    const endpoint = config.endpoint;
-    if (!endpoint.host) {
+    if (config.endpoints.length === 0) {
       console.warn('[ChromeOS Graylog Agent] Graylog endpoint not configured.');
       await recordDiagnostic('endpoint-missing');
+      outcome = { status: 'skipped', reason: 'endpoint-missing' };
       return;
     }
 
@@ -184,54 +516,205 @@ async function scheduleLogHarvest() {
     if (typeof self?.navigator?.onLine === 'boolean' && !self.navigator.onLine) {
       console.warn('[ChromeOS Graylog Agent] Device appears to be offline; skipping harvest.');
       await recordDiagnostic('device-offline');
+      await incrementMetric('harvestsSkippedOffline');
+      outcome = { status: 'skipped', reason: 'device-offline' };
       return;
     }
 
-    const payload = await collectLogBundle();
+    const cursorUpdate = {};
+    const payload = await collectLogBundle(cursorUpdate);
     if (!payload) {
       console.warn('[ChromeOS Graylog Agent] No payload collected.');
+      outcome = { status: 'skipped', reason: 'no-payload' };
       return;
     }
 
     const compactPayload = pruneEmptySections(payload);
     if (!compactPayload) {
       console.warn('[ChromeOS Graylog Agent] Payload contained no actionable data after pruning.');
+      outcome = { status: 'skipped', reason: 'empty-payload' };
       return;
     }
 
-    const boundedPayload = await enforcePayloadConstraints(compactPayload);
+    const redactedPayload = await redactPayload(compactPayload, config.redaction);
+    const parts = await enforcePayloadConstraints(redactedPayload);
+    const batches = [];
+    for (const part of parts) {
+      // Batches never mix parts, so each part is delivered and retried on its own.
+      batches.push(...(await createDeliveryBatches(fanOutLogBundle(part), config)));
+    }
+
+    const destinations = config.endpoints.map(buildEndpointKey);
+
+    // Once a batch fails on every endpoint they are likely unavailable, so the
+    // remaining batches are queued without waiting on further timeouts.
+    const pending = [...batches];
+    const retries = [];
+    const counts = { delivered: 0, queued: 0, rejected: 0 };
+    let failedResult = null;
+    while (pending.length > 0) {
+      const batch = pending.shift();
+      const result = failedResult ?? (await deliverBatch(batch, destinations, { kind: 'harvest' }));
+      if (result.delivered) {
+        counts.delivered += 1;
+        continue;
+      }
+
+      if (result.failure === 'too-large') {
+        const parts = await splitOversizedBatch(batch, destinations);
+        if (parts) {
+          pending.unshift(...parts);
+        } else {
+          retries.push({ batch, attempt: 0, deferral: { ...result, failure: 'undecodable' } });
+          counts.queued += 1;
+        }
+        continue;
+      }
+
+      if (result.failure === 'rejected') {
+        await recordDeliveryRejection(destinations, batch, result);
+        counts.rejected += 1;
+        continue;
+      }
+
+      if (result.failure === 'transient') {
+        failedResult = result;
+      }
+      retries.push({ batch, attempt: 0, deferral: result });
+      counts.queued += 1;
+    }
+    await enqueueBatchesForRetry(destinations, retries);
 
-    const delivered = await forwardToGraylog(endpoint, boundedPayload);
-    if (!delivered) {
-      await enqueuePayloadForRetry(endpoint, boundedPayload, 0);
+    if (failedResult && !failedResult.attempted) {
+      // Every circuit was open, so the whole harvest went straight to the queue.
+      await recordDiagnostic('delivery-short-circuited', {
+        batches: batches.length,
+        retryAt: new Date(failedResult.retryAt).toISOString()
+      });
     }
+
+    // Every batch is now delivered or queued, so the collected range is owned
+    // by the delivery pipeline and later harvests can start after it.
+    await commitCollectionCursors(cursorUpdate);
+    await updateHeartbeatState({ lastSuccessfulHarvestAt: Date.now() });
+    outcome = { status: 'completed', batches: batches.length, ...counts };
+    await forwardDiagnosticsStream();
   } catch (error) {
     console.error('[ChromeOS Graylog Agent] Failed to harvest logs', error);
     await recordDiagnostic('harvest-failed', { message: error?.message ?? String(error) });
+    await incrementMetric('harvestsFailed');
+    outcome = { status: 'failed', message: error?.message ?? String(error) };
   } finally {
+    if (outcome) {
+      await updateAgentStatus({
+        lastHarvest: {
+          startedAt: new Date(startedAt).toISOString(),
+          finishedAt: new Date().toISOString(),
+          ...outcome
+        }
+      });
+    }
     harvestInProgress = false;
     clearTimeout(harvestGuardTimer);
     harvestGuardTimer = null;
   }
 }
 
-async function collectLogBundle() {
+async function buildPayloadPreview() {
+  const config = await getRuntimeConfiguration();
+  // Cursors are collected into a throwaway object, so the next harvest still sends this data.
+  const skippedCollectors = [];
+  const payload = await collectLogBundle({}, { dryRun: true, skipped: skippedCollectors });
+  const compactPayload = payload ? pruneEmptySections(payload) : null;
+  const preview = {
+    generatedAt: new Date().toISOString(),
+    redactionApplied: Boolean(config.redaction),
+    parts: [],
+    messageCount: 0,
+    sizes: { total: 0, sections: {}, parts: [] },
+    truncation: null,
+    skippedCollectors
+  };
+  if (!compactPayload) {
+    return preview;
+  }
+
+  const redactedPayload = await redactPayload(compactPayload, config.redaction, { record: false });
+  const { parts, decisions } = planPayloadParts(redactedPayload);
+  preview.parts = parts;
+  preview.messageCount = parts.reduce((count, part) => count + fanOutLogBundle(part).length, 0);
+  preview.sizes = {
+    total: decisions.originalSize,
+    sections: measurePayloadSections(redactedPayload),
+    parts: parts.map((part) => estimateSerializedSizeBytes(part))
+  };
+  preview.truncation = {
+    split: parts.length > 1,
+    correlationId: decisions.correlationId,
+    splitSystemLogEntries: decisions.splitSystemLogEntries,
+    droppedLogEvents: decisions.dropped?.logEvents ?? 0,
+    droppedArtifacts: decisions.dropped?.artifacts ?? []
+  };
+  return preview;
+}
+
+function measurePayloadSections(payload) {
+  const sections = {};
+  for (const [name, value] of Object.entries(payload)) {
+    if (name === 'logArtifacts' && value && typeof value === 'object') {
+      // Artifacts dominate most payloads, so they are broken down one level further.
+      for (const [artifact, artifactValue] of Object.entries(value)) {
+        sections[`logArtifacts.${artifact}`] = estimateSerializedSizeBytes(artifactValue);
+      }
+      continue;
+    }
+    sections[name] = estimateSerializedSizeBytes(value);
+  }
+  return sections;
+}
+
+async function collectLogBundle(cursorUpdate = null, options = {}) {
   const collectionErrors = [];
+  const { collectionPlan } = await getRuntimeConfiguration();
+  const health = await loadCollectorHealth();
+  const startedAt = Date.now();
+  const payload = { timestamp: new Date(startedAt).toISOString() };
+
+  // Collectors share the harvest alarm and one payload: a collector's interval
+  // is rounded up to the next harvest, and the slowest due collector (bounded
+  // by its timeout) sets when the harvest is delivered.
+  const runs = [...collectorRegistry.values()].map(async (collector) => {
+    const plan = collectionPlan[collector.id];
+    if (!plan?.enabled) {
+      return;
+    }
 
-  const [deviceAttributes, runtimeContext, diagnostics, logArtifacts] = await Promise.all([
-    getDeviceAttributes(collectionErrors),
-    getRuntimeContext(collectionErrors),
-    getSystemDiagnostics(collectionErrors),
-    collectLogPrivateArtifacts(collectionErrors)
-  ]);
+    if (!isCollectorDue(plan, health[collector.id], startedAt)) {
+      if (!collector.reuseLastResult) {
+        options.skipped?.push({
+          id: collector.id,
+          nextRunAt: new Date(Number(health[collector.id]?.lastRun) + plan.intervalMinutes * 60 * 1000).toISOString()
+        });
+        return;
+      }
+      // A restarted worker has no cached copy, so identity collectors run early once.
+      if (collectorResultCache.has(collector.id)) {
+        payload[collector.section] = collectorResultCache.get(collector.id);
+        return;
+      }
+    }
 
-  const payload = {
-    timestamp: new Date().toISOString(),
-    deviceAttributes,
-    runtimeContext,
-    diagnostics,
-    logArtifacts
-  };
+    payload[collector.section] = await runCollector(collector, plan, health, collectionErrors, cursorUpdate, {
+      // A dry run leaves no trace: its failures reach the preview, not diagnostics or metrics.
+      record: !options.dryRun
+    });
+  });
+
+  await Promise.all(runs);
+  // A dry run must not make collectors look recently run, or the next harvest would skip them.
+  if (!options.dryRun) {
+    await saveCollectorHealth(health);
+  }
 
   if (collectionErrors.length > 0) {
     payload.collectionErrors = collectionErrors;
@@ -240,6 +723,154 @@ async function collectLogBundle() {
   return payload;
 }
 
+function registerCollector(definition) {
+  const { id, section, collect } = definition ?? {};
+  if (typeof id !== 'string' || !id || typeof section !== 'string' || !section || typeof collect !== 'function') {
+    throw new Error('Collectors require an id, a payload section and a collect function.');
+  }
+
+  if (collectorRegistry.has(id)) {
+    throw new Error(`Collector ${id} is already registered.`);
+  }
+
+  collectorRegistry.set(
+    id,
+    Object.freeze({
+      intervalMinutes: 0,
+      timeoutMs: DEFAULT_COLLECTOR_TIMEOUT_MS,
+      reuseLastResult: false,
+      ...definition,
+      fields: Object.freeze([...(definition.fields ?? [])])
+    })
+  );
+}
+
+function registerBuiltInCollectors() {
+  // Identity sections are reused between runs so every GELF message keeps its host fields.
+  registerCollector({
+    id: 'deviceAttributes',
+    section: 'deviceAttributes',
+    fields: ['serialNumber', 'assetId', 'annotatedLocation', 'directoryDeviceId', 'hostname'],
+    timeoutMs: 15 * 1000,
+    reuseLastResult: true,
+    collect: ({ errorLog, fields, record }) => getDeviceAttributes(errorLog, fields, { record })
+  });
+
+  registerCollector({
+    id: 'runtimeContext',
+    section: 'runtimeContext',
+    fields: ['extension', 'platform', 'userAgent'],
+    timeoutMs: 5 * 1000,
+    reuseLastResult: true,
+    collect: ({ errorLog, fields, record }) => getRuntimeContext(errorLog, fields, { record })
+  });
+
+  registerCollector({
+    id: 'systemDiagnostics',
+    section: 'diagnostics',
+    fields: ['memory', 'cpu', 'storage'],
+    timeoutMs: 15 * 1000,
+    collect: ({ errorLog, fields, record }) => getSystemDiagnostics(errorLog, fields, { record })
+  });
+
+  registerCollector({
+    id: 'logPrivate',
+    section: 'logArtifacts',
+    fields: ['systemLogs', 'systemInfo', 'logEvents'],
+    timeoutMs: 60 * 1000,
+    collect: ({ errorLog, fields, cursorUpdate, record }) =>
+      collectLogPrivateArtifacts(errorLog, cursorUpdate, fields, { record })
+  });
+}
+
+function isCollectorDue(plan, health, now) {
+  const lastRun = Number(health?.lastRun) || 0;
+  const intervalMs = plan.intervalMinutes * 60 * 1000;
+  return intervalMs === 0 || now - lastRun >= intervalMs - ALARM_DUE_TOLERANCE_MS;
+}
+
+async function runCollector(collector, plan, health, collectionErrors, cursorUpdate, options = {}) {
+  const errorLog = [];
+  // A timed-out collector may still settle later; its cursors must not leak
+  // into a harvest that never delivered its data.
+  const collectorCursors = {};
+  const startedAt = Date.now();
+  let result = null;
+  let failure = null;
+
+  try {
+    result = await withTimeout(
+      Promise.resolve().then(() =>
+        collector.collect({ errorLog, fields: plan.fields, cursorUpdate: collectorCursors, record: options.record })
+      ),
+      plan.timeoutMs,
+      `Collector ${collector.id} exceeded ${plan.timeoutMs} ms`
+    );
+    if (cursorUpdate) {
+      Object.assign(cursorUpdate, collectorCursors);
+    }
+  } catch (error) {
+    failure = error;
+    result = null;
+    errorLog.push({ description: `collector:${collector.id}`, message: error?.message ?? String(error) });
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const previous = health[collector.id] ?? {};
+  const failed = failure !== null || errorLog.length > 0;
+
+  health[collector.id] = {
+    lastRun: startedAt,
+    lastDurationMs: durationMs,
+    lastSuccess: failed ? previous.lastSuccess ?? null : startedAt,
+    lastError: failed ? errorLog[errorLog.length - 1].message : previous.lastError ?? null,
+    runCount: (Number(previous.runCount) || 0) + 1,
+    errorCount: (Number(previous.errorCount) || 0) + (failed ? 1 : 0),
+    consecutiveErrors: failed ? (Number(previous.consecutiveErrors) || 0) + 1 : 0
+  };
+
+  collectionErrors.push(...errorLog);
+
+  if (failure) {
+    const code = failure.name === 'TimeoutError' ? 'collector-timeout' : 'collector-failed';
+    await recordCollectionDiagnostic(options, code, {
+      collector: collector.id,
+      durationMs,
+      message: failure?.message ?? String(failure)
+    });
+  } else if (collector.reuseLastResult && result != null) {
+    collectorResultCache.set(collector.id, result);
+  }
+
+  return result;
+}
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.name = 'TimeoutError';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function loadCollectorHealth() {
+  const { data } = await getStorageLocal(COLLECTOR_HEALTH_STORAGE_KEY);
+  const stored = data?.[COLLECTOR_HEALTH_STORAGE_KEY];
+  return stored && typeof stored === 'object' ? { ...stored } : {};
+}
+
+async function saveCollectorHealth(health) {
+  const known = Object.fromEntries(
+    Object.entries(health).filter(([id]) => collectorRegistry.has(id))
+  );
+  await setStorageLocal({ [COLLECTOR_HEALTH_STORAGE_KEY]: known });
+}
+
 function pruneEmptySections(value) {
   if (value == null) {
     return null;
@@ -268,984 +899,4441 @@ function pruneEmptySections(value) {
   return value;
 }
 
-async function getDeviceAttributes(errorLog) {
-  const attributesApi = chrome.enterprise?.deviceAttributes;
-  if (!attributesApi) {
-    await recordDiagnostic('device-attributes-unavailable');
-    return null;
-  }
+function fanOutLogBundle(bundle) {
+  const source = bundle && typeof bundle === 'object' ? bundle : {};
+  const { logEvents, systemLogs, ...otherArtifacts } = source.logArtifacts ?? {};
+  const context = buildGelfContext(source);
+  const harvestTimestampMs = resolveHarvestTimestampMs(source);
 
-  const attributes = {};
+  const eventMessages = (Array.isArray(logEvents) ? logEvents : [])
+    .map((event) => encodeLogEventMessage(event, context, harvestTimestampMs))
+    .filter(Boolean);
 
-  if (typeof attributesApi.getDeviceSerialNumber === 'function') {
-    attributes.serialNumber = await safeInvoke(
-      'enterprise.deviceAttributes.getDeviceSerialNumber',
-      () => callChromeApi(attributesApi.getDeviceSerialNumber, attributesApi),
-      errorLog
-    );
-  }
+  const systemLogMessages = (Array.isArray(systemLogs) ? systemLogs : []).flatMap((entry) =>
+    encodeSystemLogMessages(entry, context, harvestTimestampMs)
+  );
 
-  if (typeof attributesApi.getDeviceAssetId === 'function') {
-    attributes.assetId = await safeInvoke(
-      'enterprise.deviceAttributes.getDeviceAssetId',
-      () => callChromeApi(attributesApi.getDeviceAssetId, attributesApi),
-      errorLog
-    );
+  const counts = {
+    logEvents: eventMessages.length,
+    systemLogLines: systemLogMessages.length
+  };
+
+  const summary = encodeGelfMessage(
+    {
+      ...source,
+      logArtifacts: Object.keys(otherArtifacts).length > 0 ? otherArtifacts : null
+    },
+    counts
+  );
+  summary._log_event_count = counts.logEvents;
+  summary._system_log_line_count = counts.systemLogLines;
+  if (source.harvestPart) {
+    Object.assign(summary, buildHarvestPartFields(source.harvestPart));
+    summary.short_message += ` (part ${source.harvestPart.index} of ${source.harvestPart.count})`;
   }
 
-  if (typeof attributesApi.getDeviceAnnotatedLocation === 'function') {
-    attributes.annotatedLocation = await safeInvoke(
-      'enterprise.deviceAttributes.getDeviceAnnotatedLocation',
-      () => callChromeApi(attributesApi.getDeviceAnnotatedLocation, attributesApi),
-      errorLog
-    );
+  // Message ids are assigned once per harvest and travel with the queued batch,
+  // so a retried message keeps the id it was first sent with.
+  return [summary, ...eventMessages, ...systemLogMessages].map((message) => ({
+    ...message,
+    _message_id: crypto.randomUUID()
+  }));
+}
+
+function buildGelfContext(payload) {
+  const fields = { _facility: GELF_FACILITY };
+  appendGelfFields(fields, 'device', payload?.deviceAttributes);
+
+  const agentVersion = payload?.runtimeContext?.extension?.version;
+  if (typeof agentVersion === 'string' && agentVersion) {
+    fields._agent_version = agentVersion;
   }
 
-  if (typeof attributesApi.getDirectoryDeviceId === 'function') {
-    attributes.directoryDeviceId = await safeInvoke(
-      'enterprise.deviceAttributes.getDirectoryDeviceId',
-      () => callChromeApi(attributesApi.getDirectoryDeviceId, attributesApi),
-      errorLog
-    );
+  Object.assign(fields, buildHarvestPartFields(payload?.harvestPart));
+
+  return {
+    host: resolveGelfHost(payload?.deviceAttributes),
+    fields
+  };
+}
+
+function encodeLogEventMessage(event, context, fallbackTimestampMs) {
+  if (event == null) {
+    return null;
   }
 
-  if (typeof attributesApi.getDeviceHostname === 'function') {
-    attributes.hostname = await safeInvoke(
-      'enterprise.deviceAttributes.getDeviceHostname',
-      () => callChromeApi(attributesApi.getDeviceHostname, attributesApi),
-      errorLog
-    );
+  const text = extractLogText(event);
+  const message = createContextualGelfMessage(context, text, 'ChromeOS log event');
+  message.timestamp = resolveEventTimestampMs(event, fallbackTimestampMs) / 1000;
+  message._log_source = 'logEvents';
+
+  if (typeof event === 'object') {
+    const level = Number(event.level);
+    if (Number.isInteger(level) && level >= 0 && level <= 7) {
+      message.level = level;
+    }
+
+    appendGelfFields(message, 'event', omitKeys(event, ['message', 'log', 'text', 'timestamp', 'level']));
   }
 
-  const attributeKeys = Object.keys(attributes);
-  if (attributeKeys.length === 0) {
-    await recordDiagnostic('device-attributes-empty');
-    return null;
+  return message;
+}
+
+function encodeSystemLogMessages(entry, context, timestampMs) {
+  if (entry == null) {
+    return [];
   }
 
-  return attributes;
+  const text = typeof entry === 'string' ? entry : extractLogText(entry);
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  const fields = typeof entry === 'object' ? omitKeys(entry, ['log', 'lineOffset', 'lineParts']) : null;
+  // Entries split across harvest parts continue the numbering of the original
+  // log; pieces of a line cut by the split share its number.
+  const lineParts = entry?.lineParts && typeof entry.lineParts === 'object' ? entry.lineParts : {};
+  let lineNumber = Number(entry?.lineOffset) || 0;
+
+  return lines.map((line, index) => {
+    const part = lineParts[index];
+    if (index === 0 || !(part > 1)) {
+      lineNumber += 1;
+    }
+
+    const message = createContextualGelfMessage(context, line, 'ChromeOS system log');
+    message.timestamp = timestampMs / 1000;
+    message._log_source = 'systemLogs';
+    message._log_line = lineNumber;
+    if (part) {
+      message._log_line_part = part;
+    }
+    appendGelfFields(message, 'system_log', fields);
+    return message;
+  });
 }
 
-async function getRuntimeContext(errorLog) {
-  const manifest = chrome.runtime.getManifest();
-  const platformInfo = await safeInvoke(
-    'runtime.getPlatformInfo',
-    () => callChromeApi(chrome.runtime.getPlatformInfo, chrome.runtime),
-    errorLog
-  );
+function buildHarvestPartFields(harvestPart) {
+  if (!harvestPart) {
+    return {};
+  }
 
   return {
-    extension: {
-      id: chrome.runtime.id,
-      version: manifest?.version,
-      manifestVersion: manifest?.manifest_version,
-      name: manifest?.name
-    },
-    platform: platformInfo,
-    userAgent: self?.navigator?.userAgent ?? null
+    _harvest_correlation_id: harvestPart.correlationId,
+    _harvest_part: harvestPart.index,
+    _harvest_parts: harvestPart.count
   };
 }
 
-async function getSystemDiagnostics(errorLog) {
-  const diagnostics = {};
+function createContextualGelfMessage(context, text, fallbackShortMessage) {
+  const firstLine = text.split(/\r?\n/, 1)[0].trim();
+  const shortMessage = firstLine.slice(0, GELF_SHORT_MESSAGE_MAX_LENGTH) || fallbackShortMessage;
 
-  if (chrome.system?.memory?.getInfo) {
-    diagnostics.memory = await safeInvoke(
-      'system.memory.getInfo',
-      () => callChromeApi(chrome.system.memory.getInfo, chrome.system.memory),
-      errorLog
-    );
+  const message = {
+    version: GELF_VERSION,
+    host: context.host,
+    short_message: shortMessage,
+    level: GELF_LEVEL_INFO,
+    ...context.fields
+  };
+
+  if (text && text.trim() !== shortMessage) {
+    message.full_message = text;
   }
 
-  if (chrome.system?.cpu?.getInfo) {
-    diagnostics.cpu = await safeInvoke(
-      'system.cpu.getInfo',
-      () => callChromeApi(chrome.system.cpu.getInfo, chrome.system.cpu),
-      errorLog
-    );
+  return message;
+}
+
+function extractLogText(entry) {
+  if (typeof entry === 'string') {
+    return entry;
   }
 
-  if (chrome.system?.storage?.getInfo) {
-    const storageInfo = await safeInvoke(
-      'system.storage.getInfo',
-      () => callChromeApi(chrome.system.storage.getInfo, chrome.system.storage),
-      errorLog,
-      []
-    );
+  if (!entry || typeof entry !== 'object') {
+    return entry == null ? '' : String(entry);
+  }
 
-    diagnostics.storage = [];
+  const candidate = [entry.message, entry.log, entry.text].find((value) => typeof value === 'string');
+  if (candidate !== undefined) {
+    return candidate;
+  }
 
-    if (Array.isArray(storageInfo)) {
-      for (const unit of storageInfo) {
-        const capacity = await safeInvoke(
-          `system.storage.getAvailableCapacity(${unit.id})`,
-          () => callChromeApi(chrome.system.storage.getAvailableCapacity, chrome.system.storage, unit.id),
-          errorLog
-        );
+  try {
+    return JSON.stringify(entry);
+  } catch (error) {
+    return '';
+  }
+}
 
-        diagnostics.storage.push({
-          id: unit.id,
-          name: unit.name,
-          type: unit.type,
-          capacity: unit.capacity,
-          availableCapacity: capacity?.availableCapacity ?? null
-        });
-      }
+function omitKeys(value, keys) {
+  return Object.fromEntries(Object.entries(value).filter(([key]) => !keys.includes(key)));
+}
+
+function resolveHarvestTimestampMs(payload) {
+  const parsed = Date.parse(payload?.timestamp ?? '');
+  return Number.isFinite(parsed) ? parsed : Date.now();
+}
+
+function resolveEventTimestampMs(event, fallbackTimestampMs) {
+  const raw = event && typeof event === 'object' ? event.timestamp ?? event.time : null;
+
+  if (typeof raw === 'number' && Number.isFinite(raw) && raw > 0) {
+    // Values below ~1973 in milliseconds are treated as epoch seconds.
+    return raw < 1e11 ? raw * 1000 : raw;
+  }
+
+  if (typeof raw === 'string') {
+    const parsed = Date.parse(raw);
+    if (Number.isFinite(parsed)) {
+      return parsed;
     }
   }
 
-  return Object.keys(diagnostics).length > 0 ? diagnostics : null;
+  return fallbackTimestampMs;
 }
 
-async function collectLogPrivateArtifacts(errorLog) {
-  const logPrivate = chrome.logPrivate;
-  if (!logPrivate) {
-    await recordDiagnostic('log-private-unavailable');
-    return null;
-  }
+function encodeGelfMessage(payload, counts = null) {
+  const source = payload && typeof payload === 'object' ? payload : {};
+  const host = resolveGelfHost(source.deviceAttributes);
+  const timestampMs = resolveHarvestTimestampMs(source);
+  const collectionErrors = Array.isArray(source.collectionErrors) ? source.collectionErrors : [];
+
+  const message = {
+    version: GELF_VERSION,
+    host,
+    short_message: buildGelfShortMessage(host, counts ?? countLogArtifacts(source.logArtifacts)),
+    timestamp: timestampMs / 1000,
+    level: collectionErrors.length > 0 ? GELF_LEVEL_WARNING : GELF_LEVEL_INFO,
+    _facility: GELF_FACILITY
+  };
 
-  const artifacts = {};
+  appendGelfFields(message, 'device', source.deviceAttributes);
+  appendGelfFields(message, 'runtime', source.runtimeContext);
+  appendGelfFields(message, 'diagnostics', source.diagnostics);
 
-  if (typeof logPrivate.getSystemLogs === 'function') {
-    artifacts.systemLogs = await safeInvoke(
-      'logPrivate.getSystemLogs',
-      () => callChromeApi(logPrivate.getSystemLogs, logPrivate),
-      errorLog,
-      []
-    );
+  if (collectionErrors.length > 0) {
+    message._collection_error_count = collectionErrors.length;
+    message._collection_errors = collectionErrors
+      .map((error) => error?.description ?? 'unknown')
+      .join(', ');
   }
 
-  if (typeof logPrivate.getSystemInfo === 'function') {
-    artifacts.systemInfo = await safeInvoke(
-      'logPrivate.getSystemInfo',
-      () => callChromeApi(logPrivate.getSystemInfo, logPrivate),
-      errorLog
-    );
+  if (source.droppedData) {
+    message._dropped_log_events = source.droppedData.logEvents;
+    message._dropped_artifacts = source.droppedData.artifacts.join(', ') || 'none';
   }
 
-  if (typeof logPrivate.getLogEvents === 'function') {
-    const oneHourAgo = Date.now() - 60 * 60 * 1000;
-    const logEventFilter = { startTime: oneHourAgo };
-    artifacts.logEvents = await safeInvoke(
-      'logPrivate.getLogEvents',
-      () => callChromeApi(logPrivate.getLogEvents, logPrivate, logEventFilter),
-      errorLog,
-      []
-    );
+  if (source.logArtifacts) {
+    try {
+      message.full_message = JSON.stringify(source.logArtifacts);
+    } catch (error) {
+      console.warn('[ChromeOS Graylog Agent] Failed to serialize log artifacts for GELF', error);
+    }
   }
 
-  return Object.keys(artifacts).length > 0 ? artifacts : null;
+  return message;
 }
 
-function callChromeApi(fn, thisArg, ...args) {
-  return new Promise((resolve, reject) => {
-    if (typeof fn !== 'function') {
-      reject(new Error('API not available'));
-      return;
-    }
+function isGelfMessage(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    value.version === GELF_VERSION &&
+    typeof value.host === 'string' &&
+    typeof value.short_message === 'string'
+  );
+}
 
-    const callback = (...callbackArgs) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
+function resolveGelfHost(deviceAttributes) {
+  const candidates = [
+    deviceAttributes?.hostname,
+    deviceAttributes?.directoryDeviceId,
+    deviceAttributes?.serialNumber,
+    deviceAttributes?.assetId
+  ];
 
-      if (callbackArgs.length === 0) {
-        resolve();
-        return;
-      }
-
-      if (callbackArgs.length === 1) {
-        resolve(callbackArgs[0]);
-        return;
-      }
-
-      resolve(callbackArgs);
-    };
-
-    try {
-      fn.call(thisArg, ...args, callback);
-    } catch (error) {
-      reject(error);
-    }
-  });
+  const host = candidates.find((candidate) => typeof candidate === 'string' && candidate.trim());
+  return host ? host.trim() : GELF_FALLBACK_HOST;
 }
 
-async function safeInvoke(description, fn, errorLog, defaultValue = null) {
-  try {
-    const result = await fn();
-    return result ?? defaultValue;
-  } catch (error) {
-    const message = `[ChromeOS Graylog Agent] ${description} failed`;
-    console.warn(message, error);
-    if (Array.isArray(errorLog)) {
-      errorLog.push({ description, message: error.message });
-    }
-    await recordDiagnostic('api-error', { description, message: error.message });
-    return defaultValue;
-  }
+function countLogArtifacts(logArtifacts) {
+  return {
+    logEvents: Array.isArray(logArtifacts?.logEvents) ? logArtifacts.logEvents.length : undefined,
+    systemLogs: Array.isArray(logArtifacts?.systemLogs) ? logArtifacts.systemLogs.length : undefined
+  };
 }
 
-async function forwardToGraylog(endpoint, payload) {
-  if (!endpoint?.host) {
-    return false;
-  }
-
-  if (typeof self?.navigator?.onLine === 'boolean' && !self.navigator.onLine) {
-    await recordDiagnostic('delivery-aborted-offline', { host: endpoint.host });
-    return false;
-  }
+function buildGelfShortMessage(host, counts) {
+  const summary = [];
 
-  let body;
-  try {
-    body = JSON.stringify(payload);
-  } catch (error) {
-    await recordDiagnostic('serialization-failed', { message: error?.message ?? String(error) });
-    return false;
+  if (typeof counts?.logEvents === 'number') {
+    summary.push(`${counts.logEvents} log events`);
   }
 
-  const url = `${endpoint.protocol}://${endpoint.host}:${endpoint.port}/gelf`;
-  const abortController = new AbortController();
-  const timeoutId = setTimeout(() => abortController.abort(), 10000);
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body,
-      signal: abortController.signal,
-      keepalive: true
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-
-    return true;
-  } catch (error) {
-    const message =
-      error?.name === 'AbortError'
-        ? 'Forwarding timed out while contacting Graylog.'
-        : 'Failed to forward logs to Graylog.';
-    console.warn(`[ChromeOS Graylog Agent] ${message}`, error);
-    await recordDiagnostic('delivery-failed', {
-      host: endpoint.host,
-      port: endpoint.port,
-      protocol: endpoint.protocol,
-      message: error?.message ?? String(error)
-    });
-    return false;
-  } finally {
-    clearTimeout(timeoutId);
+  if (typeof counts?.systemLogs === 'number') {
+    summary.push(`${counts.systemLogs} system logs`);
   }
-}
 
-async function enqueuePayloadForRetry(endpoint, payload, attempt) {
-  const queue = await loadDeliveryQueue();
-  const entry = createRetryEntry(endpoint, payload, attempt);
-  queue.push(entry);
-
-  const budget = enforceQueueBudget(queue);
-  if (budget.removed > 0) {
-    await recordDiagnostic('delivery-queue-trimmed', {
-      removed: budget.removed,
-      trimmedByCount: budget.trimmedByCount,
-      trimmedBySize: budget.trimmedBySize,
-      remaining: budget.queue.length
-    });
+  if (typeof counts?.systemLogLines === 'number') {
+    summary.push(`${counts.systemLogLines} system log lines`);
   }
 
-  await saveDeliveryQueue(budget.queue);
-  await scheduleRetryAlarm(budget.queue);
-  await recordDiagnostic('delivery-queued', {
-    host: endpoint.host,
-    attempt
-  });
+  const base = `ChromeOS log harvest from ${host}`;
+  return summary.length > 0 ? `${base}: ${summary.join(', ')}` : base;
 }
 
-async function flushDeliveryQueue(options = {}) {
-  const allowDuringHarvest = options.allowDuringHarvest === true;
+function appendGelfFields(message, prefix, value, depth = 0) {
+  if (value == null) {
+    return;
+  }
 
-  if (deliveryFlushInProgress) {
+  if (typeof value !== 'object') {
+    const normalized = normalizeGelfValue(value);
+    if (normalized !== null) {
+      message[`_${prefix}`] = normalized;
+    }
     return;
   }
 
-  if (harvestInProgress && !allowDuringHarvest) {
+  if (depth >= GELF_MAX_FIELD_DEPTH) {
+    try {
+      message[`_${prefix}`] = JSON.stringify(value);
+    } catch (error) {
+      console.warn('[ChromeOS Graylog Agent] Failed to serialize nested GELF field', error);
+    }
     return;
   }
 
-  deliveryFlushInProgress = true;
+  const entries = Array.isArray(value)
+    ? value.map((entry, index) => [String(index), entry])
+    : Object.entries(value);
 
-  try {
-    await processDeliveryQueue();
-  } finally {
-    deliveryFlushInProgress = false;
+  for (const [key, entry] of entries) {
+    appendGelfFields(message, `${prefix}_${toGelfFieldName(key)}`, entry, depth + 1);
   }
 }
 
-async function processDeliveryQueue() {
-  const queue = await loadDeliveryQueue();
-
-  if (queue.length === 0) {
-    await clearRetryAlarm();
-    return;
+function normalizeGelfValue(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
   }
 
-  const now = Date.now();
-  let nextQueue = [];
-  let mutated = false;
+  if (typeof value === 'string') {
+    return value;
+  }
 
-  for (const entry of queue) {
-    if (!entry || typeof entry !== 'object') {
-      mutated = true;
-      continue;
-    }
+  if (typeof value === 'boolean' || typeof value === 'bigint') {
+    return String(value);
+  }
 
-    const nextAttemptTime = typeof entry.nextAttemptTime === 'number' ? entry.nextAttemptTime : now;
-    if (nextAttemptTime > now) {
-      nextQueue.push(entry);
-      continue;
-    }
+  return null;
+}
 
-    const delivered = await forwardToGraylog(entry.endpoint, entry.payload);
-    if (delivered) {
-      mutated = true;
-      continue;
-    }
+function toGelfFieldName(key) {
+  // GELF additional field names must match ^[\w.-]*$; camelCase keys become snake_case.
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^\w.-]/g, '_')
+    .toLowerCase();
+}
 
-    const nextAttempt = (Number(entry.attempt) || 0) + 1;
-    if (nextAttempt >= MAX_DELIVERY_ATTEMPTS) {
-      mutated = true;
-      await recordDiagnostic('delivery-abandoned', {
-        host: entry.endpoint?.host ?? 'unknown',
-        attempts: nextAttempt
-      });
-      continue;
-    }
+async function createDeliveryBatches(messages, config) {
+  const compress = await shouldCompressDelivery(config);
+  const sizeLimit = compress
+    ? PAYLOAD_SIZE_LIMIT_BYTES * GZIP_BATCH_EXPANSION_FACTOR
+    : PAYLOAD_SIZE_LIMIT_BYTES;
+  const groups = await buildDeliveryBatches(messages, config.maxMessagesPerBatch, sizeLimit);
 
-    const updatedEntry = createRetryEntry(entry.endpoint, entry.payload, nextAttempt);
-    updatedEntry.attempt = nextAttempt;
-    nextQueue.push(updatedEntry);
-    mutated = true;
+  if (!compress) {
+    return groups.map((group) => assignDeliveryId({ messages: group, messageCount: group.length }));
   }
 
-  let finalQueue = nextQueue;
-  if (mutated) {
-    const budget = enforceQueueBudget(nextQueue);
-    finalQueue = budget.queue;
-    if (budget.removed > 0) {
-      await recordDiagnostic('delivery-queue-trimmed', {
-        removed: budget.removed,
-        trimmedByCount: budget.trimmedByCount,
-        trimmedBySize: budget.trimmedBySize,
-        remaining: finalQueue.length
-      });
+  const batches = [];
+  for (const group of groups) {
+    try {
+      batches.push(...(await compressDeliveryBatch(group)));
+    } catch (error) {
+      console.warn('[ChromeOS Graylog Agent] Failed to compress delivery batch', error);
+      await recordDiagnostic('compression-failed', { message: error?.message ?? String(error) });
+      batches.push(...(await buildDeliveryBatches(group, config.maxMessagesPerBatch)).map((split) => ({
+        messages: split,
+        messageCount: split.length
+      })));
     }
-    await saveDeliveryQueue(finalQueue);
-  } else {
-    finalQueue = queue;
   }
 
-  await scheduleRetryAlarm(finalQueue);
+  return batches.map(assignDeliveryId);
 }
 
-async function loadDeliveryQueue() {
-  const { data } = await getStorageLocal(GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY);
-  const queue = data?.[GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY];
+function assignDeliveryId(batch) {
+  // The id doubles as the Idempotency-Key and is kept for every retry of the batch.
+  return { deliveryId: crypto.randomUUID(), ...batch };
+}
 
-  if (!Array.isArray(queue)) {
-    return [];
+async function shouldCompressDelivery(config) {
+  if (config?.compression !== 'gzip') {
+    return false;
   }
 
-  const normalized = queue
-    .map((entry) => {
-      if (!entry || typeof entry !== 'object') {
-        return null;
-      }
+  if (typeof CompressionStream !== 'function') {
+    await recordDiagnostic('compression-unavailable');
+    return false;
+  }
 
-      const attempt = Number(entry.attempt) || 0;
-      const nextAttemptTime =
-        typeof entry.nextAttemptTime === 'number' ? entry.nextAttemptTime : Date.now();
+  // Batches are compressed unless every endpoint has rejected gzip bodies;
+  // forwardToGraylog decompresses per endpoint when needed.
+  for (const endpoint of config.endpoints) {
+    if (!(await isCompressionRejected(endpoint))) {
+      return true;
+    }
+  }
+  return false;
+}
 
-      return {
-        endpoint: entry.endpoint,
-        payload: entry.payload,
-        attempt,
-        nextAttemptTime
-      };
-    })
-    .filter(Boolean);
+async function compressDeliveryBatch(messages) {
+  const compressed = await gzipText(serializeDeliveryBatch(messages));
 
-  const budget = enforceQueueBudget(normalized);
-  if (budget.removed > 0) {
-    await recordDiagnostic('delivery-queue-trimmed', {
-      removed: budget.removed,
-      trimmedByCount: budget.trimmedByCount,
-      trimmedBySize: budget.trimmedBySize,
-      remaining: budget.queue.length
-    });
-    await saveDeliveryQueue(budget.queue);
-    return budget.queue;
+  // Compressed bytes count toward the batch limit; split until each half fits.
+  if (compressed.length > PAYLOAD_SIZE_LIMIT_BYTES && messages.length > 1) {
+    const middle = Math.ceil(messages.length / 2);
+    return [
+      ...(await compressDeliveryBatch(messages.slice(0, middle))),
+      ...(await compressDeliveryBatch(messages.slice(middle)))
+    ];
   }
 
-  return normalized;
-}
-
-async function saveDeliveryQueue(queue) {
-  await setStorageLocal({ [GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY]: queue });
+  return [{ compressedBody: bytesToBase64(compressed), messageCount: messages.length }];
 }
 
-async function scheduleRetryAlarm(queue) {
-  if (!Array.isArray(queue) || queue.length === 0) {
-    await clearRetryAlarm();
-    return;
+async function readBatchMessages(batch) {
+  if (Array.isArray(batch?.messages)) {
+    return batch.messages;
   }
 
-  const nextAttemptTime = queue.reduce((earliest, entry) => {
-    if (!entry || typeof entry.nextAttemptTime !== 'number') {
-      return earliest;
-    }
-    return Math.min(earliest, entry.nextAttemptTime);
-  }, Number.POSITIVE_INFINITY);
-
-  if (!Number.isFinite(nextAttemptTime)) {
-    await clearRetryAlarm();
-    return;
+  if (typeof batch?.compressedBody === 'string') {
+    const text = await gunzipText(base64ToBytes(batch.compressedBody));
+    return text
+      .split('\n')
+      .filter((line) => line.trim() !== '')
+      .map((line) => JSON.parse(line));
   }
 
-  await new Promise((resolve) => {
-    chrome.alarms.create(RETRY_ALARM_NAME, { when: nextAttemptTime });
-    resolve();
-  });
+  return [];
 }
 
-async function clearRetryAlarm() {
-  await new Promise((resolve) => {
-    chrome.alarms.clear(RETRY_ALARM_NAME, () => resolve());
-  });
+async function gzipText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
 }
 
-function computeBackoffDelay(attempt) {
-  const exponent = Math.max(0, Math.min(attempt, 10));
-  const base = BACKOFF_BASE_MS * Math.pow(2, exponent);
-  const jitter = Math.random() * base * 0.25;
-  return Math.min(base + jitter, MAX_BACKOFF_DELAY_MS);
+async function gunzipText(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
 }
 
-function createRetryEntry(endpoint, payload, attempt) {
-  const delay = computeBackoffDelay(attempt);
-  return {
-    endpoint: cloneSerializable(endpoint),
-    payload: cloneSerializable(payload),
-    attempt,
-    nextAttemptTime: Date.now() + delay
-  };
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + chunkSize));
+  }
+  return btoa(binary);
 }
 
-function enforceQueueBudget(queue) {
-  const working = Array.isArray(queue) ? [...queue] : [];
-  let trimmedByCount = 0;
-  while (working.length > MAX_DELIVERY_QUEUE_LENGTH) {
-    working.shift();
-    trimmedByCount += 1;
+function base64ToBytes(value) {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
   }
+  return bytes;
+}
 
-  let trimmedBySize = 0;
-  let estimatedSize = estimateQueueSizeBytes(working);
-  while (estimatedSize > MAX_STORAGE_BUDGET_BYTES && working.length > 0) {
-    working.shift();
-    trimmedBySize += 1;
-    estimatedSize = estimateQueueSizeBytes(working);
-  }
+async function buildDeliveryBatches(
+  messages,
+  maxMessagesPerBatch = DEFAULT_MAX_MESSAGES_PER_BATCH,
+  sizeLimit = PAYLOAD_SIZE_LIMIT_BYTES
+) {
+  const batchLimit = sanitizeMaxMessagesPerBatch(maxMessagesPerBatch);
+  const batches = [];
+  let current = [];
+  let currentSize = 0;
+  let splitMessages = 0;
+  let droppedMessages = 0;
+
+  const append = (message, size) => {
+    if (current.length > 0 && (current.length >= batchLimit || currentSize + size > sizeLimit)) {
+      batches.push(current);
+      current = [];
+      currentSize = 0;
+    }
 
-  return {
-    queue: working,
-    removed: trimmedByCount + trimmedBySize,
-    trimmedByCount,
-    trimmedBySize,
-    estimatedSize
+    current.push(message);
+    currentSize += size;
   };
-}
 
-function estimateQueueSizeBytes(entries) {
-  try {
-    const serialized = JSON.stringify(entries ?? []);
-    if (typeof serialized !== 'string') {
-      return 0;
+  for (const message of Array.isArray(messages) ? messages : []) {
+    const size = estimateSerializedSizeBytes(message) + 1; // Newline delimiter.
+    if (size <= PAYLOAD_SIZE_LIMIT_BYTES) {
+      append(message, size);
+      continue;
     }
-    return new TextEncoder().encode(serialized).length;
-  } catch (error) {
-    console.warn('[ChromeOS Graylog Agent] Failed to estimate queue size', error);
-    return Number.MAX_SAFE_INTEGER;
-  }
-}
-
-function diagnosticsEntriesMatch(a, b) {
-  if (!a || !b) {
-    return false;
-  }
 
-  if (a.code !== b.code) {
-    return false;
-  }
+    const pieces = splitGelfMessage(message);
+    if (pieces.length === 0) {
+      droppedMessages += 1;
+      continue;
+    }
 
-  try {
-    const aDetails = JSON.stringify(a.details ?? {});
-    const bDetails = JSON.stringify(b.details ?? {});
-    return aDetails === bDetails;
-  } catch (error) {
-    console.warn('[ChromeOS Graylog Agent] Failed to compare diagnostic entries', error);
-    return false;
+    splitMessages += 1;
+    for (const piece of pieces) {
+      const pieceSize = estimateSerializedSizeBytes(piece) + 1;
+      if (pieceSize > PAYLOAD_SIZE_LIMIT_BYTES) {
+        droppedMessages += 1;
+        continue;
+      }
+      append(piece, pieceSize);
+    }
   }
-}
 
-function filterHostsAgainstManifest(hosts, allowHttpForTesting) {
-  if (!Array.isArray(hosts) || hosts.length === 0) {
-    return { hosts: [], removed: [] };
+  if (current.length > 0) {
+    batches.push(current);
   }
 
-  const sanitized = [];
-  const removed = [];
-
-  for (const host of hosts) {
-    const httpsAllowed = manifestHostPermissionMatchers.some((matcher) => matcher('https', host));
-    const httpAllowed = allowHttpForTesting
-      ? manifestHostPermissionMatchers.some((matcher) => matcher('http', host))
-      : true;
-
-    if (httpsAllowed && httpAllowed) {
-      sanitized.push(host);
-    } else {
-      removed.push({
-        host,
-        missingHttps: !httpsAllowed,
-        missingHttp: allowHttpForTesting && !httpAllowed
-      });
-    }
+  if (splitMessages > 0 || droppedMessages > 0) {
+    await recordDiagnostic('gelf-message-split', {
+      splitMessages,
+      droppedMessages,
+      batches: batches.length
+    });
   }
 
-  return { hosts: sanitized, removed };
+  return batches;
 }
 
-function buildManifestHostPermissionMatchers() {
-  if (!chrome?.runtime?.getManifest) {
+function splitGelfMessage(message) {
+  // The largest free-text field (usually full_message) is spread across parts.
+  const field = Object.keys(message)
+    .filter((key) => (key === 'full_message' || key.startsWith('_')) && typeof message[key] === 'string')
+    .sort((a, b) => message[b].length - message[a].length)[0];
+  if (!field) {
     return [];
   }
 
-  try {
-    const manifest = chrome.runtime.getManifest();
-    const patterns = Array.isArray(manifest?.host_permissions) ? manifest.host_permissions : [];
-    return patterns
-      .map((pattern) => createManifestHostMatcher(pattern))
-      .filter(Boolean);
-  } catch (error) {
-    console.warn('[ChromeOS Graylog Agent] Failed to inspect manifest host permissions', error);
+  const text = message[field];
+  const base = omitKeys(message, [field]);
+  const budget = PAYLOAD_SIZE_LIMIT_BYTES - estimateSerializedSizeBytes(base) - HARVEST_PART_OVERHEAD_BYTES;
+  // UTF-8 and JSON escaping can expand characters, so chunks leave headroom.
+  const chunkLength = Math.floor(budget / 3);
+  if (chunkLength <= 0) {
     return [];
   }
-}
 
-function createManifestHostMatcher(pattern) {
-  if (pattern === '<all_urls>') {
-    return () => true;
+  const chunks = [];
+  for (let offset = 0; offset < text.length; offset += chunkLength) {
+    chunks.push(text.slice(offset, offset + chunkLength));
   }
 
-  if (typeof pattern !== 'string') {
+  const correlationId = message._message_id ?? crypto.randomUUID();
+  return chunks.map((chunk, index) => ({
+    ...base,
+    short_message: `${base.short_message} (part ${index + 1} of ${chunks.length})`,
+    [field]: chunk,
+    _message_id: crypto.randomUUID(),
+    _message_correlation_id: correlationId,
+    _message_part: index + 1,
+    _message_parts: chunks.length
+  }));
+}
+
+function serializeDeliveryBatch(messages) {
+  return messages.map((message) => JSON.stringify(message)).join('\n');
+}
+
+async function getDeviceAttributes(errorLog, fields, options = {}) {
+  if (fields.length === 0) {
     return null;
   }
 
-  const trimmed = pattern.trim();
-  const schemeSplit = trimmed.split('://');
-  if (schemeSplit.length !== 2) {
+  const attributesApi = chrome.enterprise?.deviceAttributes;
+  if (!attributesApi) {
+    await recordCollectionDiagnostic(options, 'device-attributes-unavailable');
     return null;
   }
 
-  const scheme = schemeSplit[0].toLowerCase();
-  const remainder = schemeSplit[1];
-  const slashIndex = remainder.indexOf('/');
-  const hostPattern = (slashIndex === -1 ? remainder : remainder.slice(0, slashIndex)).toLowerCase();
+  const attributes = {};
 
-  return (protocol, host) => {
-    if (!protocol || !host) {
-      return false;
-    }
+  if (fields.includes('serialNumber') && typeof attributesApi.getDeviceSerialNumber === 'function') {
+    attributes.serialNumber = await safeInvoke(
+      'enterprise.deviceAttributes.getDeviceSerialNumber',
+      () => callChromeApi(attributesApi.getDeviceSerialNumber, attributesApi),
+      errorLog,
+      null,
+      options
+    );
+  }
 
-    const normalizedProtocol = protocol.toLowerCase();
-    const normalizedHost = host.toLowerCase();
+  if (fields.includes('assetId') && typeof attributesApi.getDeviceAssetId === 'function') {
+    attributes.assetId = await safeInvoke(
+      'enterprise.deviceAttributes.getDeviceAssetId',
+      () => callChromeApi(attributesApi.getDeviceAssetId, attributesApi),
+      errorLog,
+      null,
+      options
+    );
+  }
 
-    if (scheme !== '*' && scheme !== '<all_urls>' && scheme !== normalizedProtocol) {
-      return false;
-    }
+  if (fields.includes('annotatedLocation') && typeof attributesApi.getDeviceAnnotatedLocation === 'function') {
+    attributes.annotatedLocation = await safeInvoke(
+      'enterprise.deviceAttributes.getDeviceAnnotatedLocation',
+      () => callChromeApi(attributesApi.getDeviceAnnotatedLocation, attributesApi),
+      errorLog,
+      null,
+      options
+    );
+  }
 
-    if (hostPattern === '*') {
-      return true;
-    }
+  if (fields.includes('directoryDeviceId') && typeof attributesApi.getDirectoryDeviceId === 'function') {
+    attributes.directoryDeviceId = await safeInvoke(
+      'enterprise.deviceAttributes.getDirectoryDeviceId',
+      () => callChromeApi(attributesApi.getDirectoryDeviceId, attributesApi),
+      errorLog,
+      null,
+      options
+    );
+  }
 
-    if (hostPattern.startsWith('*.')) {
-      const suffix = hostPattern.slice(2);
-      return normalizedHost === suffix || normalizedHost.endsWith(`.${suffix}`);
+  if (fields.includes('hostname') && typeof attributesApi.getDeviceHostname === 'function') {
+    attributes.hostname = await safeInvoke(
+      'enterprise.deviceAttributes.getDeviceHostname',
+      () => callChromeApi(attributesApi.getDeviceHostname, attributesApi),
+      errorLog,
+      null,
+      options
+    );
+  }
+
+  const attributeKeys = Object.keys(attributes);
+  if (attributeKeys.length === 0) {
+    await recordCollectionDiagnostic(options, 'device-attributes-empty');
+    return null;
+  }
+
+  return attributes;
+}
+
+async function getRuntimeContext(errorLog, fields, options = {}) {
+  if (fields.length === 0) {
+    return null;
+  }
+
+  const context = {};
+
+  if (fields.includes('extension')) {
+    const manifest = chrome.runtime.getManifest();
+    context.extension = {
+      id: chrome.runtime.id,
+      version: manifest?.version,
+      manifestVersion: manifest?.manifest_version,
+      name: manifest?.name
+    };
+  }
+
+  if (fields.includes('platform')) {
+    context.platform = await safeInvoke(
+      'runtime.getPlatformInfo',
+      () => callChromeApi(chrome.runtime.getPlatformInfo, chrome.runtime),
+      errorLog,
+      null,
+      options
+    );
+  }
+
+  if (fields.includes('userAgent')) {
+    context.userAgent = self?.navigator?.userAgent ?? null;
+  }
+
+  return context;
+}
+
+async function getSystemDiagnostics(errorLog, fields, options = {}) {
+  const diagnostics = {};
+
+  if (fields.includes('memory') && chrome.system?.memory?.getInfo) {
+    diagnostics.memory = await safeInvoke(
+      'system.memory.getInfo',
+      () => callChromeApi(chrome.system.memory.getInfo, chrome.system.memory),
+      errorLog,
+      null,
+      options
+    );
+  }
+
+  if (fields.includes('cpu') && chrome.system?.cpu?.getInfo) {
+    diagnostics.cpu = await safeInvoke(
+      'system.cpu.getInfo',
+      () => callChromeApi(chrome.system.cpu.getInfo, chrome.system.cpu),
+      errorLog,
+      null,
+      options
+    );
+  }
+
+  if (fields.includes('storage') && chrome.system?.storage?.getInfo) {
+    const storageInfo = await safeInvoke(
+      'system.storage.getInfo',
+      () => callChromeApi(chrome.system.storage.getInfo, chrome.system.storage),
+      errorLog,
+      [],
+      options
+    );
+
+    diagnostics.storage = [];
+
+    if (Array.isArray(storageInfo)) {
+      for (const unit of storageInfo) {
+        const capacity = await safeInvoke(
+          `system.storage.getAvailableCapacity(${unit.id})`,
+          () => callChromeApi(chrome.system.storage.getAvailableCapacity, chrome.system.storage, unit.id),
+          errorLog,
+          null,
+          options
+        );
+
+        diagnostics.storage.push({
+          id: unit.id,
+          name: unit.name,
+          type: unit.type,
+          capacity: unit.capacity,
+          availableCapacity: capacity?.availableCapacity ?? null
+        });
+      }
     }
+  }
 
-    return hostPattern === normalizedHost;
-  };
+  return Object.keys(diagnostics).length > 0 ? diagnostics : null;
 }
 
-async function handleAdministrativeMessage(message, sender) {
-  if (!message || typeof message !== 'object') {
+async function collectLogPrivateArtifacts(errorLog, cursorUpdate, fields, options = {}) {
+  if (fields.length === 0) {
     return null;
   }
 
-  if (sender?.id && sender.id !== chrome.runtime.id) {
+  const logPrivate = chrome.logPrivate;
+  if (!logPrivate) {
+    await recordCollectionDiagnostic(options, 'log-private-unavailable');
     return null;
   }
 
-  const action = typeof message.type === 'string' ? message.type : message.action;
+  const artifacts = {};
+  const cursors = await loadCollectionCursors();
 
-  switch (action) {
-    case 'graylog:exportDiagnostics':
-      return (async () => ({ diagnostics: await collectDiagnosticsSnapshot() }))();
-    case 'graylog:clearRetryQueue':
-      return (async () => {
-        await saveDeliveryQueue([]);
-        await clearRetryAlarm();
-        await recordDiagnostic('delivery-queue-cleared', { source: 'admin-request' });
-        return { cleared: true };
-      })();
-    case 'graylog:flushRetryQueue':
-      return (async () => {
-        await flushDeliveryQueue({ allowDuringHarvest: true });
-        const queue = await loadDeliveryQueue();
-        await recordDiagnostic('delivery-queue-flush-requested', {
-          source: 'admin-request',
-          remaining: queue.length
-        });
-        return { remaining: queue.length };
-      })();
-    case 'graylog:clearDiagnostics':
-      return (async () => {
-        transientDiagnostics.length = 0;
-        await setStorageLocal({ [DIAGNOSTICS_STORAGE_KEY]: [] });
-        return { cleared: true };
-      })();
-    default:
-      return null;
+  if (fields.includes('systemLogs') && typeof logPrivate.getSystemLogs === 'function') {
+    const systemLogs = await safeInvoke(
+      'logPrivate.getSystemLogs',
+      () => callChromeApi(logPrivate.getSystemLogs, logPrivate),
+      errorLog,
+      null,
+      options
+    );
+    // A failed call leaves the stored markers alone; an empty map would resend every log.
+    if (systemLogs !== null) {
+      const incremental = selectNewSystemLogLines(systemLogs, cursors.systemLogs);
+      artifacts.systemLogs = incremental.entries;
+      if (cursorUpdate) {
+        cursorUpdate.systemLogs = incremental.cursor;
+      }
+    }
+  }
+
+  if (fields.includes('systemInfo') && typeof logPrivate.getSystemInfo === 'function') {
+    artifacts.systemInfo = await safeInvoke(
+      'logPrivate.getSystemInfo',
+      () => callChromeApi(logPrivate.getSystemInfo, logPrivate),
+      errorLog,
+      null,
+      options
+    );
+  }
+
+  if (fields.includes('logEvents') && typeof logPrivate.getLogEvents === 'function') {
+    const logEventFilter = { startTime: await computeLogEventStartTime(cursors.logEvents, options) };
+    const logEvents = await safeInvoke(
+      'logPrivate.getLogEvents',
+      () => callChromeApi(logPrivate.getLogEvents, logPrivate, logEventFilter),
+      errorLog,
+      [],
+      options
+    );
+    const incremental = selectNewLogEvents(logEvents, cursors.logEvents);
+    artifacts.logEvents = incremental.events;
+    if (cursorUpdate) {
+      cursorUpdate.logEvents = incremental.cursor;
+    }
   }
+
+  return Object.keys(artifacts).length > 0 ? artifacts : null;
 }
 
-async function collectDiagnosticsSnapshot() {
-  const { data, success } = await getStorageLocal(DIAGNOSTICS_STORAGE_KEY);
-  const persisted = success && Array.isArray(data?.[DIAGNOSTICS_STORAGE_KEY])
-    ? data[DIAGNOSTICS_STORAGE_KEY]
-    : [];
+async function computeLogEventStartTime(cursor, options = {}) {
+  const now = Date.now();
+  const lastTimestamp = Number(cursor?.lastTimestamp);
+  if (!Number.isFinite(lastTimestamp) || lastTimestamp <= 0) {
+    return now - INITIAL_LOG_EVENT_WINDOW_MS;
+  }
 
-  const merged = mergeDiagnostics(persisted, transientDiagnostics);
-  return merged;
+  const earliest = now - MAX_LOG_EVENT_CATCH_UP_MS;
+  if (lastTimestamp < earliest) {
+    await recordCollectionDiagnostic(options, 'collection-window-bounded', {
+      source: 'logEvents',
+      gapMinutes: Math.round((now - lastTimestamp) / 60000),
+      windowMinutes: MAX_LOG_EVENT_CATCH_UP_MS / 60000
+    });
+    return earliest;
+  }
+
+  // The start is inclusive; events sharing the high-water timestamp are
+  // filtered by hash in selectNewLogEvents.
+  return lastTimestamp;
 }
 
-function mergeDiagnostics(persisted, transient) {
-  const combined = [];
-  const seen = new Set();
+function selectNewLogEvents(events, cursor) {
+  const lastTimestamp = Number(cursor?.lastTimestamp) || 0;
+  const seenHashes = new Set(Array.isArray(cursor?.recentHashes) ? cursor.recentHashes : []);
+  const fresh = [];
+  let highWater = lastTimestamp;
+  let highWaterHashes = [...seenHashes];
+  const untimedHashes = [];
 
-  const append = (entry) => {
-    if (!entry) {
+  for (const event of Array.isArray(events) ? events : []) {
+    const hash = hashString(serializeForHash(event));
+    const timestamp = resolveEventTimestampMs(event, null);
+
+    if (typeof timestamp === 'number' && timestamp < lastTimestamp) {
+      continue;
+    }
+
+    if ((timestamp === null || timestamp === lastTimestamp) && seenHashes.has(hash)) {
+      continue;
+    }
+
+    fresh.push(event);
+
+    if (timestamp === null) {
+      untimedHashes.push(hash);
+    } else if (timestamp > highWater) {
+      highWater = timestamp;
+      highWaterHashes = [hash];
+    } else if (timestamp === highWater) {
+      highWaterHashes.push(hash);
+    }
+  }
+
+  return {
+    events: fresh,
+    cursor: {
+      lastTimestamp: highWater,
+      recentHashes: [...highWaterHashes, ...untimedHashes].slice(-MAX_CURSOR_EVENT_HASHES)
+    }
+  };
+}
+
+function selectNewSystemLogLines(systemLogs, cursor) {
+  const previous = cursor && typeof cursor === 'object' ? cursor : {};
+  const nextCursor = {};
+  const entries = [];
+
+  (Array.isArray(systemLogs) ? systemLogs : []).forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.log !== 'string') {
+      entries.push(entry);
       return;
     }
-    const key = buildDiagnosticIdentity(entry);
-    if (seen.has(key)) {
+
+    const name = String(entry.name ?? entry.key ?? index);
+    const lines = entry.log.split(/\r?\n/).filter((line) => line.trim() !== '');
+    if (lines.length === 0) {
       return;
     }
-    seen.add(key);
-    combined.push(entry);
-  };
 
-  persisted.forEach(append);
-  transient.forEach(append);
+    // Resume after the last line shipped; a missing marker means the log
+    // rotated, so only the most recent lines are sent.
+    const shipped = locateSystemLogMarker(lines, previous[name]);
+    const newLines = (shipped >= 0 ? lines.slice(shipped) : lines).slice(-MAX_SYSTEM_LOG_CATCH_UP_LINES);
 
-  combined.sort((a, b) => {
-    const aTime = Date.parse(a?.timestamp ?? '') || 0;
-    const bTime = Date.parse(b?.timestamp ?? '') || 0;
-    return aTime - bTime;
+    nextCursor[name] = { lineCount: lines.length, tailHash: hashSystemLogWindow(lines, lines.length) };
+    if (newLines.length > 0) {
+      entries.push({ ...entry, log: newLines.join('\n') });
+    }
   });
 
-  return combined.slice(-MAX_DIAGNOSTIC_ENTRIES);
+  return { entries, cursor: nextCursor };
 }
 
-function buildDiagnosticIdentity(entry) {
+function locateSystemLogMarker(lines, marker) {
+  if (typeof marker === 'string') {
+    // Markers written before line counts were tracked hold only the last line's hash.
+    const index = lines.map((line) => hashString(line)).lastIndexOf(marker);
+    return index >= 0 ? index + 1 : -1;
+  }
+
+  const lineCount = Number(marker?.lineCount);
+  if (!Number.isInteger(lineCount) || lineCount <= 0) {
+    return -1;
+  }
+  if (lineCount <= lines.length && hashSystemLogWindow(lines, lineCount) === marker.tailHash) {
+    return lineCount;
+  }
+
+  // The log was trimmed at the front, so the shipped tail moved earlier. A
+  // window of several lines keeps repeated single lines from matching.
+  for (let end = Math.min(lines.length, lineCount - 1); end > 0; end -= 1) {
+    if (hashSystemLogWindow(lines, end) === marker.tailHash) {
+      return end;
+    }
+  }
+  return -1;
+}
+
+function hashSystemLogWindow(lines, end) {
+  return hashString(lines.slice(Math.max(0, end - SYSTEM_LOG_MARKER_CONTEXT_LINES), end).join('\n'));
+}
+
+async function loadCollectionCursors() {
+  const { data } = await getStorageLocal(COLLECTION_CURSORS_STORAGE_KEY);
+  const stored = data?.[COLLECTION_CURSORS_STORAGE_KEY];
+  return stored && typeof stored === 'object' ? stored : {};
+}
+
+async function commitCollectionCursors(cursorUpdate) {
+  if (!cursorUpdate || Object.keys(cursorUpdate).length === 0) {
+    return;
+  }
+
+  const cursors = await loadCollectionCursors();
+  const merged = { ...cursors, ...cursorUpdate };
+  if (cursorUpdate.systemLogs) {
+    // Markers are kept per log, so a log missing from this harvest keeps its position.
+    merged.systemLogs = { ...cursors.systemLogs, ...cursorUpdate.systemLogs };
+  }
+  await setStorageLocal({ [COLLECTION_CURSORS_STORAGE_KEY]: merged });
+}
+
+function serializeForHash(value) {
   try {
-    return [entry?.code ?? 'unknown', JSON.stringify(entry?.details ?? {}), entry?.timestamp ?? ''].join('|');
+    return JSON.stringify(value) ?? '';
   } catch (error) {
-    console.warn('[ChromeOS Graylog Agent] Failed to build diagnostic identity', error);
-    return `${entry?.code ?? 'unknown'}|${entry?.timestamp ?? ''}`;
+    return String(value);
   }
 }
 
-function computeGuardThresholdMs(config) {
-  const pollInterval = sanitizePollInterval(config.pollIntervalMinutes);
-  const guardMinutes = Math.max(
-    sanitizeOptionalNumber(config.guardThresholdMinutes) ?? DEFAULT_GUARD_THRESHOLD_MINUTES,
-    pollInterval
-  );
+function hashString(value) {
+  // 32-bit FNV-1a; collisions only risk skipping one duplicate-looking line.
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < value.length; index += 1) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function callChromeApi(fn, thisArg, ...args) {
+  return new Promise((resolve, reject) => {
+    if (typeof fn !== 'function') {
+      reject(new Error('API not available'));
+      return;
+    }
+
+    const callback = (...callbackArgs) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+
+      if (callbackArgs.length === 0) {
+        resolve();
+        return;
+      }
+
+      if (callbackArgs.length === 1) {
+        resolve(callbackArgs[0]);
+        return;
+      }
+
+      resolve(callbackArgs);
+    };
+
+    try {
+      fn.call(thisArg, ...args, callback);
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+async function safeInvoke(description, fn, errorLog, defaultValue = null, options = {}) {
+  try {
+    const result = await fn();
+    return result ?? defaultValue;
+  } catch (error) {
+    const message = `[ChromeOS Graylog Agent] ${description} failed`;
+    console.warn(message, error);
+    if (Array.isArray(errorLog)) {
+      errorLog.push({ description, message: error.message });
+    }
+    if (options.record === false) {
+      return defaultValue;
+    }
+    await recordDiagnostic('api-error', { description, message: error.message });
+    await updateAgentMetrics((metrics) => {
+      metrics.apiErrors[description] = (metrics.apiErrors[description] ?? 0) + 1;
+    });
+    return defaultValue;
+  }
+}
+
+function recordCollectionDiagnostic(options, code, details) {
+  // Payload previews collect with recording off, so a dry run leaves the
+  // diagnostics log and metrics exactly as the last harvest left them.
+  if (options?.record === false) {
+    return undefined;
+  }
+  return recordDiagnostic(code, details);
+}
+
+async function deliverBatch(batch, destinations, options = {}) {
+  const result = await offerBatchToDestinations(batch, destinations, options);
+  // Only telemetry deliveries are reported; heartbeats and the diagnostics
+  // stream send through offerBatchToDestinations and keep their own state.
+  await updateAgentStatus({
+    lastDelivery: {
+      ...summarizeDeliveryOutcome(result),
+      kind: options.kind ?? null,
+      messages: batch.messageCount ?? null
+    }
+  });
+  return result;
+}
+
+function summarizeDeliveryOutcome(result) {
+  return {
+    at: new Date().toISOString(),
+    delivered: result.delivered,
+    endpoint: result.endpoint ? `${result.endpoint.host}:${result.endpoint.port}` : null,
+    failure: result.delivered ? null : result.failure,
+    statuses: result.statuses ?? []
+  };
+}
+
+async function offerBatchToDestinations(batch, destinations, options) {
+  const config = await getRuntimeConfiguration();
+  const candidates = resolveDestinationEndpoints(destinations, config);
+  let attempted = false;
+  let retryAt = null;
+  const failures = [];
+
+  for (const endpoint of candidates) {
+    const admission = await admitThroughCircuit(endpoint, options);
+    if (!admission.allowed) {
+      retryAt = retryAt === null ? admission.retryAt : Math.min(retryAt, admission.retryAt);
+      continue;
+    }
+
+    if (attempted) {
+      await recordDeliveryDiagnostic(options, 'delivery-failover', { host: endpoint.host, port: endpoint.port });
+    }
+
+    attempted = true;
+    const outcome = await forwardToGraylog(endpoint, batch, options);
+    if (outcome.contacted) {
+      await recordEndpointOutcome(endpoint, resolveEndpointOutcome(outcome), options);
+    }
+    if (outcome.delivered) {
+      // Acknowledgements exist to stop queued batches being re-sent; sends
+      // that are never queued would only push real batch ids out of the list.
+      if (!options?.ephemeral) {
+        await recordAcknowledgedDelivery(batch.deliveryId);
+      }
+      return { delivered: true, attempted, endpoint };
+    }
+    failures.push(outcome);
+  }
+
+  // When every destination's circuit is open nothing was attempted, so callers
+  // reschedule without consuming a retry attempt.
+  if (!attempted) {
+    return { delivered: false, attempted, failure: 'transient', retryAt };
+  }
+
+  // An endpoint skipped while its circuit is open may still accept the batch.
+  if (retryAt !== null) {
+    failures.push({ failure: 'transient', status: null, retryAfterAt: null });
+  }
+
+  return { delivered: false, attempted, ...summarizeDeliveryFailures(failures) };
+}
+
+function summarizeDeliveryFailures(failures) {
+  const failure = DELIVERY_FAILURE_PRECEDENCE.find((candidate) =>
+    failures.some((outcome) => outcome.failure === candidate)
+  );
+  const retryAfterTimes = failures
+    .filter((outcome) => outcome.failure === 'transient' && typeof outcome.retryAfterAt === 'number')
+    .map((outcome) => outcome.retryAfterAt);
+
+  return {
+    failure,
+    statuses: failures.map((outcome) => outcome.status ?? null),
+    retryAt: null,
+    // The earliest Retry-After wins because any endpoint accepting the batch is enough.
+    retryAfterAt: retryAfterTimes.length > 0 ? Math.min(...retryAfterTimes) : null
+  };
+}
+
+function classifyDeliveryStatus(status) {
+  if (status === 413) {
+    return 'too-large';
+  }
+  if (status === 401 || status === 403) {
+    return 'unauthorized';
+  }
+  if (status === 404) {
+    return 'not-found';
+  }
+  if (status === 408 || status === 429 || status >= 500) {
+    return 'transient';
+  }
+  if (status === 400) {
+    return 'rejected';
+  }
+  // Other 4xx codes (409, 422, or 429 rewritten by a proxy) may not be about
+  // the batch at all, so it is kept for review instead of being dropped.
+  return status > 400 ? 'unexpected-status' : 'transient';
+}
+
+function resolveEndpointOutcome(outcome) {
+  if (outcome.delivered) {
+    return 'delivered';
+  }
+
+  // The endpoint answered and refused this batch; it is healthy for others.
+  return ['rejected', 'too-large', 'undecodable'].includes(outcome.failure) ? 'rejected' : 'failed';
+}
+
+function parseRetryAfter(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const seconds = Number(value.trim());
+  const delayMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  if (!Number.isFinite(delayMs)) {
+    return null;
+  }
+
+  return Date.now() + Math.min(Math.max(delayMs, 0), MAX_RETRY_AFTER_MS);
+}
+
+function resolveDestinationEndpoints(destinations, config) {
+  const configured = Array.isArray(config?.endpoints) ? config.endpoints : [];
+  const keys = Array.isArray(destinations) ? destinations : [];
+  return configured.filter((endpoint) => keys.includes(buildEndpointKey(endpoint)));
+}
+
+async function loadEndpointHealth() {
+  if (endpointHealth) {
+    return endpointHealth;
+  }
+
+  const { data } = await getStorageLocal(ENDPOINT_HEALTH_STORAGE_KEY);
+  const stored = data?.[ENDPOINT_HEALTH_STORAGE_KEY];
+  endpointHealth = stored && typeof stored === 'object' ? { ...stored } : {};
+  return endpointHealth;
+}
+
+async function admitThroughCircuit(endpoint, options) {
+  const health = await loadEndpointHealth();
+  const key = buildEndpointKey(endpoint);
+  const entry = health[key] ?? {};
+  const state = resolveCircuitState(entry);
+  const now = Date.now();
+
+  if (state === 'closed') {
+    return { allowed: true };
+  }
+
+  if (state === 'open' && entry.cooldownUntil > now) {
+    return { allowed: false, retryAt: entry.cooldownUntil };
+  }
+
+  const probeStartedAt = Number(entry.probeStartedAt) || 0;
+  if (state === 'half-open' && now - probeStartedAt < CIRCUIT_PROBE_STALE_MS) {
+    return { allowed: false, retryAt: probeStartedAt + CIRCUIT_PROBE_STALE_MS };
+  }
+
+  // The single probe is left to a queued batch: an ephemeral send that fails
+  // is simply dropped, so it must not decide whether the circuit closes.
+  if (options?.ephemeral) {
+    return { allowed: false, retryAt: Math.max(Number(entry.cooldownUntil) || 0, now) };
+  }
+
+  // The cooldown has elapsed: this caller sends the single probe.
+  health[key] = { ...entry, state: 'half-open', probeStartedAt: now };
+  await saveEndpointHealth();
+  await recordDeliveryDiagnostic(options, 'circuit-half-open', {
+    host: endpoint.host,
+    port: endpoint.port,
+    consecutiveFailures: entry.consecutiveFailures ?? 0
+  });
+  return { allowed: true };
+}
+
+function resolveCircuitState(entry) {
+  if (CIRCUIT_STATES.includes(entry?.state)) {
+    return entry.state;
+  }
+
+  // Health persisted before the circuit breaker only tracked a cooldown.
+  return entry?.cooldownUntil > Date.now() ? 'open' : 'closed';
+}
+
+async function recordEndpointOutcome(endpoint, outcome, options) {
+  const health = await loadEndpointHealth();
+  const key = buildEndpointKey(endpoint);
+  const previous = health[key] ?? {};
+  const previousState = resolveCircuitState(previous);
+  const now = Date.now();
+
+  if (outcome !== 'failed') {
+    health[key] = {
+      ...previous,
+      state: 'closed',
+      [outcome === 'delivered' ? 'lastSuccess' : 'lastRejection']: now,
+      consecutiveFailures: 0,
+      trips: 0,
+      cooldownUntil: 0,
+      probeStartedAt: null
+    };
+    await saveEndpointHealth();
+
+    if (previousState !== 'closed') {
+      await recordDeliveryDiagnostic(options, 'circuit-closed', {
+        host: endpoint.host,
+        port: endpoint.port,
+        openMinutes: previous.openedAt ? Math.round((now - previous.openedAt) / 60000) : null
+      });
+    }
+    return;
+  }
+
+  const { circuitBreaker } = await getRuntimeConfiguration();
+  const consecutiveFailures = (Number(previous.consecutiveFailures) || 0) + 1;
+
+  if (previousState === 'closed' && consecutiveFailures < circuitBreaker.failureThreshold) {
+    health[key] = { ...previous, state: 'closed', lastFailure: now, consecutiveFailures };
+    await saveEndpointHealth();
+    return;
+  }
+
+  // Each failed probe doubles the cooldown until the endpoint recovers.
+  const trips = (Number(previous.trips) || 0) + 1;
+  const cooldownMs = Math.min(
+    circuitBreaker.cooldownMs * Math.pow(2, Math.min(trips - 1, 10)),
+    MAX_ENDPOINT_COOLDOWN_MS
+  );
+  health[key] = {
+    ...previous,
+    state: 'open',
+    lastFailure: now,
+    consecutiveFailures,
+    trips,
+    openedAt: previousState === 'closed' ? now : previous.openedAt ?? now,
+    cooldownUntil: now + cooldownMs,
+    probeStartedAt: null
+  };
+  await saveEndpointHealth();
+  await recordDeliveryDiagnostic(options, previousState === 'closed' ? 'circuit-opened' : 'circuit-reopened', {
+    host: endpoint.host,
+    port: endpoint.port,
+    consecutiveFailures,
+    cooldownSeconds: Math.round(cooldownMs / 1000)
+  });
+}
+
+async function saveEndpointHealth() {
+  const config = await getRuntimeConfiguration();
+  const configuredKeys = config.endpoints.map(buildEndpointKey);
+  const health = await loadEndpointHealth();
+
+  // Health for endpoints removed from policy is discarded.
+  Object.keys(health).forEach((key) => {
+    if (!configuredKeys.includes(key)) {
+      delete health[key];
+    }
+  });
+
+  await setStorageLocal({ [ENDPOINT_HEALTH_STORAGE_KEY]: health });
+}
+
+async function forwardToGraylog(endpoint, batch, options = {}) {
+  if (!endpoint?.host) {
+    return { delivered: false, contacted: false, failure: 'not-found', status: null };
+  }
+
+  if (typeof self?.navigator?.onLine === 'boolean' && !self.navigator.onLine) {
+    await recordDeliveryDiagnostic(options, 'delivery-aborted-offline', { host: endpoint.host });
+    return { delivered: false, contacted: false, failure: 'transient', status: null };
+  }
+
+  let body;
+  let compressed = false;
+  try {
+    if (typeof batch?.compressedBody === 'string' && !(await isCompressionRejected(endpoint))) {
+      body = base64ToBytes(batch.compressedBody);
+      compressed = true;
+    } else {
+      // GELF HTTP inputs with bulk receiving accept newline-delimited messages.
+      body = serializeDeliveryBatch(await readBatchMessages(batch));
+    }
+  } catch (error) {
+    await recordDeliveryDiagnostic(options, 'serialization-failed', { message: error?.message ?? String(error) });
+    return { delivered: false, contacted: false, failure: 'rejected', status: null };
+  }
+
+  // Signatures are computed per attempt so retries carry a fresh timestamp and nonce.
+  let signatureHeaders;
+  try {
+    signatureHeaders = await buildSignatureHeaders(body);
+  } catch (error) {
+    await recordDeliveryDiagnostic(options, 'signing-failed', { message: error?.message ?? String(error) });
+    return { delivered: false, contacted: false, failure: 'transient', status: null };
+  }
+
+  if (!signatureHeaders) {
+    await recordDeliveryDiagnostic(options, 'signing-no-active-key', { host: endpoint.host });
+    return { delivered: false, contacted: false, failure: 'transient', status: null };
+  }
+
+  const headers = {
+    ...(await resolveAuthHeaders(endpoint)),
+    ...signatureHeaders,
+    'Content-Type': 'application/json'
+  };
+  if (compressed) {
+    headers['Content-Encoding'] = 'gzip';
+  }
+  if (typeof batch?.deliveryId === 'string') {
+    headers[IDEMPOTENCY_KEY_HEADER_NAME] = batch.deliveryId;
+  }
+
+  const url = buildEndpointUrl(endpoint);
+  const startedAt = Date.now();
+  const abortController = new AbortController();
+  const timeoutId = setTimeout(() => abortController.abort(), DELIVERY_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: abortController.signal,
+      keepalive: true
+    });
+  } catch (error) {
+    const message =
+      error?.name === 'AbortError'
+        ? 'Forwarding timed out while contacting Graylog.'
+        : 'Failed to forward logs to Graylog.';
+    console.warn(`[ChromeOS Graylog Agent] ${message}`, error);
+    await recordDeliveryDiagnostic(options, 'delivery-failed', {
+      host: endpoint.host,
+      port: endpoint.port,
+      protocol: endpoint.protocol,
+      failure: 'transient',
+      message: error?.message ?? String(error)
+    });
+    return { delivered: false, contacted: true, failure: 'transient', status: null };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (response.ok) {
+    await recordDeliveryMetrics(batch, body, Date.now() - startedAt);
+    return { delivered: true, contacted: true, failure: null, status: response.status };
+  }
+
+  // A compressed body is retried uncompressed before the status is classified.
+  if (compressed && COMPRESSION_REJECTION_STATUSES.includes(response.status)) {
+    return deliverWithoutCompression(endpoint, batch, response.status, options);
+  }
+
+  const failure = classifyDeliveryStatus(response.status);
+  const retryAfterAt = failure === 'transient' ? parseRetryAfter(response.headers?.get?.('Retry-After')) : null;
+  console.warn(`[ChromeOS Graylog Agent] Graylog responded with HTTP ${response.status} (${failure}).`);
+  await recordDeliveryDiagnostic(options, 'delivery-failed', {
+    host: endpoint.host,
+    port: endpoint.port,
+    protocol: endpoint.protocol,
+    status: response.status,
+    failure,
+    retryAfterSeconds: retryAfterAt === null ? null : Math.round((retryAfterAt - Date.now()) / 1000)
+  });
+  return { delivered: false, contacted: true, failure, status: response.status, retryAfterAt };
+}
+
+async function deliverWithoutCompression(endpoint, batch, status, options = {}) {
+  await recordDeliveryDiagnostic(options, 'compression-rejected', {
+    host: endpoint.host,
+    port: endpoint.port,
+    status
+  });
+
+  let messages;
+  try {
+    messages = await readBatchMessages(batch);
+  } catch (error) {
+    await recordDeliveryDiagnostic(options, 'decompression-failed', { message: error?.message ?? String(error) });
+    return { delivered: false, contacted: true, failure: 'undecodable', status };
+  }
+
+  // A compressed batch may hold several times the uncompressed limit, so it is
+  // re-batched and each part is sent on its own.
+  const { maxMessagesPerBatch } = await getRuntimeConfiguration();
+  const groups = await buildDeliveryBatches(messages, maxMessagesPerBatch);
+  // Every part may already have been accepted by an earlier attempt.
+  let outcome = { delivered: true, contacted: true, failure: null, status: null };
+  for (const [index, group] of groups.entries()) {
+    // Part ids are derived from the batch id so a retry skips parts already
+    // accepted and reuses the same Idempotency-Key for the rest.
+    const deliveryId =
+      groups.length > 1 && typeof batch.deliveryId === 'string' ? `${batch.deliveryId}.${index + 1}` : batch.deliveryId;
+    if (groups.length > 1 && (await isDeliveryAcknowledged(deliveryId))) {
+      continue;
+    }
+
+    outcome = await forwardToGraylog(endpoint, { deliveryId, messages: group, messageCount: group.length }, options);
+    if (!outcome.delivered) {
+      return outcome;
+    }
+    if (groups.length > 1 && !options?.ephemeral) {
+      await recordAcknowledgedDelivery(deliveryId);
+    }
+  }
+
+  if (outcome.delivered) {
+    // Only blame compression once the same batch is accepted uncompressed.
+    await markCompressionRejected(endpoint);
+  }
+
+  return outcome;
+}
+
+function recordDeliveryDiagnostic(options, code, details) {
+  // Deliveries of the diagnostics stream keep their failures out of storage,
+  // otherwise every failed upload would queue more diagnostics to upload.
+  return recordDiagnostic(code, details, { skipStorage: options?.quiet === true });
+}
+
+function buildEndpointUrl(endpoint) {
+  return `${endpoint.protocol}://${endpoint.host}:${endpoint.port}/gelf`;
+}
+
+async function resolveAuthHeaders(endpoint) {
+  const config = await getRuntimeConfiguration();
+  const key = buildEndpointKey(endpoint);
+
+  // Credentials belong to configured endpoints; other hosts never receive them.
+  if (!config.endpoints.some((candidate) => buildEndpointKey(candidate) === key)) {
+    return {};
+  }
+
+  // Policy credentials never follow a locally configured endpoint.
+  const auth = config.endpointAuth?.[key] ?? (config.sources?.endpoint === 'managed' ? config.auth : null);
+  return auth ? buildAuthHeaders(auth) : {};
+}
+
+function buildAuthHeaders(auth) {
+  switch (auth?.type) {
+    case 'bearer':
+      return { Authorization: `Bearer ${auth.token}` };
+    case 'basic':
+      return { Authorization: `Basic ${encodeBasicCredentials(auth.username, auth.password)}` };
+    case 'headers':
+      return { ...auth.headers };
+    default:
+      return {};
+  }
+}
+
+function encodeBasicCredentials(username, password) {
+  return bytesToBase64(new TextEncoder().encode(`${username}:${password}`));
+}
+
+async function buildSignatureHeaders(body) {
+  const config = await getRuntimeConfiguration();
+  if (!config.signing) {
+    return {};
+  }
+
+  const activeKeys = selectActiveSigningKeys(config.signing.keys);
+  if (activeKeys.length === 0) {
+    return null;
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomUUID();
+  const encoder = new TextEncoder();
+  const prefix = encoder.encode(`${timestamp}.${nonce}.`);
+  const bodyBytes = typeof body === 'string' ? encoder.encode(body) : body;
+  const signedBytes = new Uint8Array(prefix.length + bodyBytes.length);
+  signedBytes.set(prefix, 0);
+  signedBytes.set(bodyBytes, prefix.length);
+
+  const signatures = [];
+  for (const key of activeKeys) {
+    const cryptoKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(key.secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, signedBytes);
+    signatures.push(`keyId=${key.id};sha256=${bytesToHex(new Uint8Array(signature))}`);
+  }
+
+  return {
+    [SIGNATURE_TIMESTAMP_HEADER_NAME]: timestamp,
+    [SIGNATURE_NONCE_HEADER_NAME]: nonce,
+    [SIGNATURE_HEADER_NAME]: signatures.join(', ')
+  };
+}
+
+function selectActiveSigningKeys(keys, now = Date.now()) {
+  return (Array.isArray(keys) ? keys : [])
+    .filter((key) => {
+      const notBefore = Date.parse(key.notBefore ?? '');
+      const notAfter = Date.parse(key.notAfter ?? '');
+      if (Number.isFinite(notBefore) && now < notBefore) {
+        return false;
+      }
+      return !(Number.isFinite(notAfter) && now >= notAfter);
+    })
+    .slice(0, MAX_ACTIVE_SIGNING_KEYS);
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function buildEndpointKey(endpoint) {
+  return `${endpoint?.protocol ?? 'https'}://${endpoint?.host ?? ''}:${endpoint?.port ?? ''}`;
+}
+
+async function loadCompressionFallbacks() {
+  if (compressionFallbacks) {
+    return compressionFallbacks;
+  }
+
+  const { data } = await getStorageLocal(COMPRESSION_FALLBACK_STORAGE_KEY);
+  const stored = data?.[COMPRESSION_FALLBACK_STORAGE_KEY];
+  compressionFallbacks = stored && typeof stored === 'object' ? { ...stored } : {};
+  return compressionFallbacks;
+}
+
+async function isCompressionRejected(endpoint) {
+  const fallbacks = await loadCompressionFallbacks();
+  const rejectedAt = fallbacks[buildEndpointKey(endpoint)];
+  return typeof rejectedAt === 'number' && Date.now() - rejectedAt < COMPRESSION_FALLBACK_TTL_MS;
+}
+
+async function markCompressionRejected(endpoint) {
+  const fallbacks = await loadCompressionFallbacks();
+  fallbacks[buildEndpointKey(endpoint)] = Date.now();
+  await setStorageLocal({ [COMPRESSION_FALLBACK_STORAGE_KEY]: fallbacks });
+  await recordDiagnostic('compression-disabled-for-endpoint', {
+    host: endpoint.host,
+    port: endpoint.port,
+    retryAfterHours: COMPRESSION_FALLBACK_TTL_MS / (60 * 60 * 1000)
+  });
+}
+
+async function loadAcknowledgedDeliveries() {
+  if (acknowledgedDeliveries) {
+    return acknowledgedDeliveries;
+  }
+
+  const { data } = await getStorageLocal(ACKNOWLEDGED_DELIVERIES_STORAGE_KEY);
+  const stored = data?.[ACKNOWLEDGED_DELIVERIES_STORAGE_KEY];
+  acknowledgedDeliveries = stored && typeof stored === 'object' ? { ...stored } : {};
+  return acknowledgedDeliveries;
+}
+
+async function isDeliveryAcknowledged(deliveryId) {
+  if (typeof deliveryId !== 'string') {
+    return false;
+  }
+
+  const acknowledged = await loadAcknowledgedDeliveries();
+  return typeof acknowledged[deliveryId] === 'number';
+}
+
+async function recordAcknowledgedDelivery(deliveryId) {
+  if (typeof deliveryId !== 'string') {
+    return;
+  }
+
+  const acknowledged = await loadAcknowledgedDeliveries();
+  const now = Date.now();
+  acknowledged[deliveryId] = now;
+
+  // Only the most recent acknowledgements are kept; older batches have long
+  // since left the queue.
+  const expired = Object.keys(acknowledged)
+    .filter((id) => now - acknowledged[id] >= ACKNOWLEDGED_DELIVERY_RETENTION_MS)
+    .concat(
+      Object.keys(acknowledged)
+        .sort((a, b) => acknowledged[b] - acknowledged[a])
+        .slice(MAX_ACKNOWLEDGED_DELIVERIES)
+    );
+  expired.forEach((id) => {
+    delete acknowledged[id];
+  });
+
+  await setStorageLocal({ [ACKNOWLEDGED_DELIVERIES_STORAGE_KEY]: acknowledged });
+}
+
+async function enqueueBatchForRetry(destinations, batch, attempt, deferral = null) {
+  await enqueueBatchesForRetry(destinations, [{ batch, attempt, deferral }]);
+}
+
+async function enqueueBatchesForRetry(destinations, items) {
+  if (items.length === 0) {
+    return;
+  }
+
+  await ensureLegacyQueueMigrated();
+  const entries = items.map(({ batch, attempt, deferral }) => createRetryEntry(destinations, batch, attempt, deferral));
+  const { success } = await writeQueueEntries(entries);
+  if (!success) {
+    for (const entry of entries) {
+      await recordDiagnostic('delivery-dropped', {
+        destinations: entry.destinations,
+        messages: entry.messageCount,
+        reason: 'queue-write-failed'
+      });
+    }
+    return;
+  }
+
+  for (const [position, entry] of entries.entries()) {
+    const { attempt, deferral } = items[position];
+    if (entry.quarantineReason) {
+      await recordDiagnostic('delivery-quarantined', {
+        destinations: entry.destinations,
+        messages: entry.messageCount,
+        reason: entry.quarantineReason,
+        statuses: deferral.statuses
+      });
+    } else {
+      await recordDiagnostic('delivery-queued', {
+        destinations: entry.destinations,
+        messages: entry.messageCount,
+        compressed: typeof entry.compressedBody === 'string',
+        attempt
+      });
+    }
+  }
+  // The budget reads the whole index, so it is enforced once per pass rather than per batch.
+  const index = await enforceQueueBudget();
+  await scheduleRetryAlarm(index);
+}
+
+async function flushDeliveryQueue(options = {}) {
+  const allowDuringHarvest = options.allowDuringHarvest === true;
+
+  if (deliveryFlushInProgress) {
+    return;
+  }
+
+  if (harvestInProgress && !allowDuringHarvest) {
+    return;
+  }
+
+  deliveryFlushInProgress = true;
+
+  try {
+    await processDeliveryQueue();
+  } finally {
+    deliveryFlushInProgress = false;
+  }
+}
+
+async function processDeliveryQueue() {
+  const index = await loadQueueIndex();
+
+  if (index.length === 0) {
+    await clearRetryAlarm();
+    return;
+  }
+
+  const now = Date.now();
+  const config = await getRuntimeConfiguration();
+  const configuredKeys = config.endpoints.map(buildEndpointKey);
+
+  for (const record of index) {
+    if (record.quarantinedAt || record.nextAttemptTime > now) {
+      continue;
+    }
+
+    // A worker stopped between delivery and dequeue leaves a confirmed batch
+    // behind; it is dropped instead of being sent a second time.
+    if (await isDeliveryAcknowledged(record.deliveryId)) {
+      await deleteQueueEntries([record.id]);
+      await recordDiagnostic('delivery-already-acknowledged', {
+        deliveryId: record.deliveryId,
+        messages: record.messageCount
+      });
+      continue;
+    }
+
+    const entry = await readQueueEntry(record);
+    if (!entry) {
+      await deleteQueueEntries([record.id]);
+      continue;
+    }
+
+    // Destinations removed from policy no longer owe delivery; when none remain
+    // the entry is reassigned to the currently configured endpoints.
+    let destinations = record.destinations.filter((key) => configuredKeys.includes(key));
+    if (destinations.length === 0 && configuredKeys.length > 0) {
+      await recordDiagnostic('delivery-destinations-reassigned', {
+        previous: record.destinations,
+        destinations: configuredKeys
+      });
+      destinations = configuredKeys;
+    }
+
+    const result = await deliverBatch(entry, destinations, { kind: 'queue' });
+    if (result.delivered) {
+      await deleteQueueEntries([record.id]);
+      continue;
+    }
+
+    if (!result.attempted) {
+      await updateQueueRecord({
+        ...record,
+        destinations,
+        nextAttemptTime: computeNextAttemptTime(record.attempt, result)
+      });
+      continue;
+    }
+
+    if (result.failure === 'too-large') {
+      const parts = await splitOversizedBatch(entry, destinations);
+      if (!parts) {
+        await quarantineQueueRecord(record, destinations, 'undecodable', result.statuses);
+        continue;
+      }
+      await deleteQueueEntries([record.id]);
+      await writeQueueEntries(
+        parts.map((part) => ({ destinations, ...part, attempt: record.attempt, nextAttemptTime: Date.now() }))
+      );
+      continue;
+    }
+
+    if (result.failure === 'rejected') {
+      await deleteQueueEntries([record.id]);
+      await recordDeliveryRejection(destinations, entry, result);
+      continue;
+    }
+
+    if (QUARANTINE_FAILURES.includes(result.failure)) {
+      await quarantineQueueRecord(record, destinations, result.failure, result.statuses);
+      continue;
+    }
+
+    const nextAttempt = record.attempt + 1;
+    if (nextAttempt >= config.maxDeliveryAttempts) {
+      await deleteQueueEntries([record.id]);
+      await recordDiagnostic('delivery-abandoned', {
+        destinations,
+        messages: record.messageCount,
+        attempts: nextAttempt
+      });
+      await incrementMetric('deliveriesAbandoned');
+      continue;
+    }
+
+    await updateQueueRecord({
+      ...record,
+      destinations,
+      attempt: nextAttempt,
+      nextAttemptTime: computeNextAttemptTime(nextAttempt, result)
+    });
+  }
+
+  await scheduleRetryAlarm(await loadQueueIndex());
+}
+
+async function quarantineQueueRecord(record, destinations, reason, statuses) {
+  await updateQueueRecord({
+    ...record,
+    destinations,
+    nextAttemptTime: null,
+    quarantinedAt: Date.now(),
+    quarantineReason: reason
+  });
+  await recordDiagnostic('delivery-quarantined', {
+    destinations,
+    messages: record.messageCount,
+    reason,
+    statuses
+  });
+}
+
+async function splitOversizedBatch(batch, destinations) {
+  let messages;
+  try {
+    messages = await readBatchMessages(batch);
+  } catch (error) {
+    // The caller quarantines the batch; its bytes may still be recoverable.
+    await recordDiagnostic('decompression-failed', { message: error?.message ?? String(error) });
+    return null;
+  }
+
+  if (messages.length <= 1) {
+    await recordDeliveryRejection(destinations, batch, { failure: 'too-large', statuses: [413] });
+    return [];
+  }
+
+  const middle = Math.ceil(messages.length / 2);
+  const halves = [messages.slice(0, middle), messages.slice(middle)];
+  await recordDiagnostic('delivery-batch-split', { destinations, messages: messages.length, parts: halves.length });
+
+  // Each half is a new payload, so it is sent under a new delivery id.
+  if (typeof batch.compressedBody === 'string') {
+    return (await Promise.all(halves.map((half) => compressDeliveryBatch(half)))).flat().map(assignDeliveryId);
+  }
+
+  return halves.map((half) => assignDeliveryId({ messages: half, messageCount: half.length }));
+}
+
+async function recordDeliveryRejection(destinations, batch, result) {
+  await recordDiagnostic('delivery-rejected', {
+    destinations,
+    messages: batch.messageCount,
+    reason: result.failure,
+    statuses: result.statuses
+  });
+}
+
+async function releaseQuarantinedEntries(source) {
+  const index = await loadQueueIndex();
+  const quarantined = index.filter((record) => record.quarantinedAt);
+  if (quarantined.length === 0) {
+    return 0;
+  }
+
+  const now = Date.now();
+  for (const record of quarantined) {
+    await updateQueueRecord({ ...record, quarantinedAt: null, quarantineReason: null, nextAttemptTime: now });
+  }
+
+  await recordDiagnostic('delivery-quarantine-released', { source, released: quarantined.length });
+  return quarantined.length;
+}
+
+function normalizeLegacyQueueEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const batch = normalizeQueuedBatch(entry);
+  if (!batch) {
+    return null;
+  }
+
+  return {
+    destinations: normalizeQueuedDestinations(entry),
+    deliveryId: crypto.randomUUID(),
+    ...batch,
+    attempt: Number(entry.attempt) || 0,
+    nextAttemptTime: typeof entry.nextAttemptTime === 'number' ? entry.nextAttemptTime : Date.now()
+  };
+}
+
+function normalizeQueuedBatch(entry) {
+  if (typeof entry.compressedBody === 'string' && entry.compressedBody) {
+    const messageCount = Number(entry.messageCount) || 0;
+    return { compressedBody: entry.compressedBody, messageCount };
+  }
+
+  let messages = [];
+  if (Array.isArray(entry.messages)) {
+    messages = entry.messages.filter(isGelfMessage);
+  } else if (entry.payload && typeof entry.payload === 'object') {
+    // Entries queued before batching hold a single GELF message or a raw harvest bundle.
+    messages = [isGelfMessage(entry.payload) ? entry.payload : encodeGelfMessage(entry.payload)];
+  }
+
+  return messages.length > 0 ? { messages, messageCount: messages.length } : null;
+}
+
+function normalizeQueuedDestinations(entry) {
+  if (Array.isArray(entry.destinations)) {
+    return entry.destinations.filter((key) => typeof key === 'string' && key);
+  }
+
+  // Entries queued before multi-endpoint delivery recorded a single endpoint.
+  return entry.endpoint?.host ? [buildEndpointKey(entry.endpoint)] : [];
+}
+
+function extractDeliveryBatch(source) {
+  const deliveryId = typeof source?.deliveryId === 'string' ? source.deliveryId : null;
+  if (typeof source?.compressedBody === 'string') {
+    return { deliveryId, compressedBody: source.compressedBody, messageCount: source.messageCount };
+  }
+
+  const messages = Array.isArray(source?.messages) ? source.messages : [];
+  return { deliveryId, messages, messageCount: messages.length };
+}
+
+async function loadQueueIndex() {
+  await ensureLegacyQueueMigrated();
+  const { result, success } = await runQueueTransaction('load-index', 'readonly', (stores, setResult) => {
+    const request = stores.index.getAll();
+    request.onsuccess = () => setResult(request.result);
+  });
+
+  return success && Array.isArray(result) ? result : [];
+}
+
+async function readQueueEntry(record) {
+  const { result } = await runQueueTransaction('read-entry', 'readonly', (stores, setResult) => {
+    const request = stores.entries.get(record.id);
+    request.onsuccess = () => setResult(request.result);
+  });
+
+  if (!result) {
+    return null;
+  }
+
+  return { ...record, ...extractDeliveryBatch(result) };
+}
+
+async function writeQueueEntries(entries) {
+  const enqueuedAt = Date.now();
+  return runQueueTransaction('append', 'readwrite', (stores) => {
+    for (const entry of entries) {
+      const batch = extractDeliveryBatch(entry);
+      const request = stores.entries.add(batch);
+      request.onsuccess = () => {
+        // Retry bookkeeping lives in the index store so rescheduling an entry
+        // never rewrites its payload.
+        stores.index.add({
+          id: request.result,
+          deliveryId: batch.deliveryId,
+          destinations: entry.destinations,
+          attempt: entry.attempt,
+          nextAttemptTime: entry.nextAttemptTime,
+          quarantinedAt: entry.quarantinedAt ?? null,
+          quarantineReason: entry.quarantineReason ?? null,
+          messageCount: batch.messageCount,
+          sizeBytes: estimateSerializedSizeBytes(batch),
+          enqueuedAt
+        });
+      };
+    }
+  });
+}
+
+async function updateQueueRecord(record) {
+  await runQueueTransaction('update', 'readwrite', (stores) => {
+    const request = stores.index.get(record.id);
+    request.onsuccess = () => {
+      // The entry may have been evicted while its delivery was in flight.
+      if (request.result) {
+        stores.index.put(record);
+      }
+    };
+  });
+}
+
+async function deleteQueueEntries(ids) {
+  if (ids.length === 0) {
+    return;
+  }
+
+  await runQueueTransaction('delete', 'readwrite', (stores) => {
+    for (const id of ids) {
+      stores.index.delete(id);
+      stores.entries.delete(id);
+    }
+  });
+}
+
+async function clearDeliveryQueue() {
+  await ensureLegacyQueueMigrated();
+  await runQueueTransaction('clear', 'readwrite', (stores) => {
+    stores.index.clear();
+    stores.entries.clear();
+  });
+}
+
+function ensureLegacyQueueMigrated() {
+  if (!legacyQueueMigration) {
+    legacyQueueMigration = migrateLegacyDeliveryQueue().then((migrated) => {
+      if (!migrated) {
+        legacyQueueMigration = null;
+      }
+    });
+  }
+
+  return legacyQueueMigration;
+}
+
+async function migrateLegacyDeliveryQueue() {
+  const { data, success } = await getStorageLocal(GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY);
+  if (!success) {
+    return false;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(data ?? {}, GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY)) {
+    return true;
+  }
+
+  const legacy = Array.isArray(data[GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY])
+    ? data[GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY]
+    : [];
+  const entries = legacy.map(normalizeLegacyQueueEntry).filter(Boolean);
+
+  if (entries.length > 0) {
+    const written = await writeQueueEntries(entries);
+    if (!written.success) {
+      return false;
+    }
+  }
+
+  await removeStorageLocal(GRAYLOG_DELIVERY_QUEUE_STORAGE_KEY);
+  await recordDiagnostic('delivery-queue-migrated', {
+    migrated: entries.length,
+    discarded: legacy.length - entries.length
+  });
+  return true;
+}
+
+function openQueueDatabase() {
+  if (queueDatabase) {
+    return queueDatabase;
+  }
+
+  queueDatabase = new Promise((resolve, reject) => {
+    const request = indexedDB.open(QUEUE_DATABASE_NAME, QUEUE_DATABASE_VERSION);
+
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(QUEUE_ENTRY_STORE)) {
+        database.createObjectStore(QUEUE_ENTRY_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+      if (!database.objectStoreNames.contains(QUEUE_INDEX_STORE)) {
+        database.createObjectStore(QUEUE_INDEX_STORE, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => {
+      const database = request.result;
+      database.onversionchange = () => {
+        database.close();
+        queueDatabase = null;
+      };
+      resolve(database);
+    };
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Queue database upgrade blocked by another connection'));
+  });
+
+  queueDatabase.catch(() => {
+    queueDatabase = null;
+  });
+
+  return queueDatabase;
+}
+
+async function runQueueTransaction(operation, mode, callback) {
+  try {
+    const database = await openQueueDatabase();
+    return await new Promise((resolve, reject) => {
+      const transaction = database.transaction([QUEUE_INDEX_STORE, QUEUE_ENTRY_STORE], mode);
+      let result;
+
+      transaction.oncomplete = () => resolve({ result, success: true });
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error ?? new Error('Queue transaction aborted'));
+
+      callback(
+        {
+          index: transaction.objectStore(QUEUE_INDEX_STORE),
+          entries: transaction.objectStore(QUEUE_ENTRY_STORE)
+        },
+        (value) => {
+          result = value;
+        }
+      );
+    });
+  } catch (error) {
+    console.warn(`[ChromeOS Graylog Agent] Delivery queue ${operation} failed`, error);
+    await recordDiagnostic('delivery-queue-storage-failed', {
+      operation,
+      message: error?.message ?? String(error)
+    });
+    return { result: undefined, success: false, error };
+  }
+}
+
+async function scheduleRetryAlarm(queue) {
+  if (!Array.isArray(queue) || queue.length === 0) {
+    await clearRetryAlarm();
+    return;
+  }
+
+  const nextAttemptTime = queue.reduce((earliest, entry) => {
+    if (!entry || typeof entry.nextAttemptTime !== 'number') {
+      return earliest;
+    }
+    return Math.min(earliest, entry.nextAttemptTime);
+  }, Number.POSITIVE_INFINITY);
+
+  if (!Number.isFinite(nextAttemptTime)) {
+    await clearRetryAlarm();
+    return;
+  }
+
+  await new Promise((resolve) => {
+    chrome.alarms.create(RETRY_ALARM_NAME, { when: nextAttemptTime });
+    resolve();
+  });
+}
+
+async function clearRetryAlarm() {
+  await new Promise((resolve) => {
+    chrome.alarms.clear(RETRY_ALARM_NAME, () => resolve());
+  });
+}
+
+function computeBackoffDelay(attempt) {
+  const exponent = Math.max(0, Math.min(attempt, 10));
+  const base = BACKOFF_BASE_MS * Math.pow(2, exponent);
+  const jitter = Math.random() * base * 0.25;
+  return Math.min(base + jitter, MAX_BACKOFF_DELAY_MS);
+}
+
+function createRetryEntry(destinations, batch, attempt, deferral = null) {
+  const entry = {
+    destinations: [...destinations],
+    ...cloneSerializable(extractDeliveryBatch(batch)),
+    attempt,
+    nextAttemptTime: computeNextAttemptTime(attempt, deferral)
+  };
+
+  // Endpoint misconfiguration or an unreadable batch will not heal by itself;
+  // the batch waits for a policy change or a manual flush instead of burning
+  // retry attempts.
+  if (QUARANTINE_FAILURES.includes(deferral?.failure)) {
+    entry.nextAttemptTime = null;
+    entry.quarantinedAt = Date.now();
+    entry.quarantineReason = deferral.failure;
+  }
+
+  return entry;
+}
+
+function computeNextAttemptTime(attempt, deferral = null) {
+  // A server-supplied Retry-After replaces the local backoff schedule.
+  if (typeof deferral?.retryAfterAt === 'number') {
+    return deferral.retryAfterAt;
+  }
+
+  // A batch held back by open circuits was never sent, so it is retried as
+  // soon as the first cooldown ends rather than after a backoff on top of it.
+  if (typeof deferral?.retryAt === 'number') {
+    return deferral.retryAt;
+  }
+
+  return Date.now() + computeBackoffDelay(attempt);
+}
+
+async function enforceQueueBudget() {
+  const index = await loadQueueIndex();
+  const { queueMaxMegabytes, queueMaxBatches } = await getRuntimeConfiguration();
+  const maxBytes = queueMaxMegabytes * 1024 * 1024;
+  let totalBytes = index.reduce((sum, record) => sum + record.sizeBytes, 0);
+  const evicted = [];
+  let trimmedByCount = 0;
+  let trimmedBySize = 0;
+
+  // Ids are auto-incremented, so the index is already ordered oldest first.
+  while (index.length > 0 && (index.length > queueMaxBatches || totalBytes > maxBytes)) {
+    if (index.length > queueMaxBatches) {
+      trimmedByCount += 1;
+    } else {
+      trimmedBySize += 1;
+    }
+    const oldest = index.shift();
+    totalBytes -= oldest.sizeBytes;
+    evicted.push(oldest);
+  }
+
+  if (evicted.length > 0) {
+    await deleteQueueEntries(evicted.map((record) => record.id));
+    await recordDiagnostic('delivery-queue-trimmed', {
+      removed: evicted.length,
+      removedMessages: evicted.reduce((sum, record) => sum + record.messageCount, 0),
+      trimmedByCount,
+      trimmedBySize,
+      remaining: index.length,
+      remainingBytes: totalBytes,
+      maxBytes
+    });
+    await updateAgentMetrics((metrics) => {
+      metrics.counters.queueTrims += 1;
+      metrics.counters.queueTrimmedBatches += evicted.length;
+    });
+  }
+
+  return index;
+}
+
+function estimateSerializedSizeBytes(value) {
+  try {
+    const serialized = JSON.stringify(value);
+    if (typeof serialized !== 'string') {
+      return 0;
+    }
+    return new TextEncoder().encode(serialized).length;
+  } catch (error) {
+    console.warn('[ChromeOS Graylog Agent] Failed to estimate serialized size', error);
+    return Number.MAX_SAFE_INTEGER;
+  }
+}
+
+function diagnosticsEntriesMatch(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+
+  if (a.code !== b.code) {
+    return false;
+  }
+
+  try {
+    const aDetails = JSON.stringify(a.details ?? {});
+    const bDetails = JSON.stringify(b.details ?? {});
+    return aDetails === bDetails;
+  } catch (error) {
+    console.warn('[ChromeOS Graylog Agent] Failed to compare diagnostic entries', error);
+    return false;
+  }
+}
+
+function sanitizeAllowedHostNames(hosts) {
+  return Array.isArray(hosts)
+    ? hosts
+        .map((host) => (typeof host === 'string' ? host.trim() : ''))
+        .filter((host) => host && HOSTNAME_PATTERN.test(host))
+    : [];
+}
+
+function filterHostsAgainstManifest(hosts, allowHttpForTesting) {
+  if (!Array.isArray(hosts) || hosts.length === 0) {
+    return { hosts: [], removed: [] };
+  }
+
+  const sanitized = [];
+  const removed = [];
+
+  for (const host of hosts) {
+    const httpsAllowed = manifestHostPermissionMatchers.some((matcher) => matcher('https', host));
+    const httpAllowed = allowHttpForTesting
+      ? manifestHostPermissionMatchers.some((matcher) => matcher('http', host))
+      : true;
+
+    if (httpsAllowed && httpAllowed) {
+      sanitized.push(host);
+    } else {
+      removed.push({
+        host,
+        missingHttps: !httpsAllowed,
+        missingHttp: allowHttpForTesting && !httpAllowed
+      });
+    }
+  }
+
+  return { hosts: sanitized, removed };
+}
+
+function buildManifestHostPermissionMatchers() {
+  if (!chrome?.runtime?.getManifest) {
+    return [];
+  }
+
+  try {
+    const manifest = chrome.runtime.getManifest();
+    const patterns = Array.isArray(manifest?.host_permissions) ? manifest.host_permissions : [];
+    return patterns
+      .map((pattern) => createManifestHostMatcher(pattern))
+      .filter(Boolean);
+  } catch (error) {
+    console.warn('[ChromeOS Graylog Agent] Failed to inspect manifest host permissions', error);
+    return [];
+  }
+}
+
+function createManifestHostMatcher(pattern) {
+  if (pattern === '<all_urls>') {
+    return () => true;
+  }
+
+  if (typeof pattern !== 'string') {
+    return null;
+  }
+
+  const trimmed = pattern.trim();
+  const schemeSplit = trimmed.split('://');
+  if (schemeSplit.length !== 2) {
+    return null;
+  }
+
+  const scheme = schemeSplit[0].toLowerCase();
+  const remainder = schemeSplit[1];
+  const slashIndex = remainder.indexOf('/');
+  const hostPattern = (slashIndex === -1 ? remainder : remainder.slice(0, slashIndex)).toLowerCase();
+
+  return (protocol, host) => {
+    if (!protocol || !host) {
+      return false;
+    }
+
+    const normalizedProtocol = protocol.toLowerCase();
+    const normalizedHost = host.toLowerCase();
+
+    if (scheme !== '*' && scheme !== '<all_urls>' && scheme !== normalizedProtocol) {
+      return false;
+    }
+
+    if (hostPattern === '*') {
+      return true;
+    }
+
+    if (hostPattern.startsWith('*.')) {
+      const suffix = hostPattern.slice(2);
+      return normalizedHost === suffix || normalizedHost.endsWith(`.${suffix}`);
+    }
+
+    return hostPattern === normalizedHost;
+  };
+}
+
+async function testEndpoints(rawEndpoint) {
+  const config = await getRuntimeConfiguration();
+  if (rawEndpoint == null) {
+    if (config.endpoints.length === 0) {
+      throw new Error('No Graylog endpoint is configured');
+    }
+    const results = [];
+    for (const endpoint of config.endpoints) {
+      results.push(await testEndpoint(endpoint, config, { credentials: true }));
+    }
+    return results;
+  }
+
+  // Supplied endpoints pass the same checks as configured ones, including the manifest matchers.
+  const { endpoint, valid, errors } = normalizeEndpoint(rawEndpoint, {
+    allowHttpForTesting: config.allowHttpForTesting,
+    allowedHosts: config.allowedHosts
+  });
+  if (!valid) {
+    const failure = errors.includes('host-permission-missing') ? 'host-permission' : 'invalid-endpoint';
+    return [{ endpoint: rawEndpoint, delivered: false, status: null, latencyMs: null, failure, errors }];
+  }
+
+  // Only a supplied endpoint identical to a configured one is sent its credentials.
+  const key = buildEndpointKey(endpoint);
+  const credentials = config.endpoints.some((candidate) => buildEndpointKey(candidate) === key);
+  return [await testEndpoint(endpoint, config, { credentials })];
+}
+
+async function testEndpoint(endpoint, config, { credentials = false } = {}) {
+  const message = await buildEndpointTestMessage(config);
+  const body = serializeDeliveryBatch([message]);
+  const result = {
+    endpoint: { ...endpoint },
+    messageId: message._message_id,
+    delivered: false,
+    status: null,
+    latencyMs: null,
+    failure: null
+  };
+
+  if (typeof self?.navigator?.onLine === 'boolean' && !self.navigator.onLine) {
+    result.failure = 'offline';
+  } else {
+    const signatureHeaders = await buildSignatureHeaders(body).catch(() => null);
+    if (!signatureHeaders) {
+      result.failure = 'signing';
+    } else {
+      const authHeaders = credentials ? await resolveAuthHeaders(endpoint) : {};
+      Object.assign(result, await sendEndpointTest(endpoint, body, { ...authHeaders, ...signatureHeaders }));
+    }
+  }
+
+  await recordDiagnostic('endpoint-test', {
+    host: endpoint.host,
+    port: endpoint.port,
+    protocol: endpoint.protocol,
+    delivered: result.delivered,
+    status: result.status,
+    latencyMs: result.latencyMs,
+    failure: result.failure
+  });
+  return result;
+}
+
+async function sendEndpointTest(endpoint, body, requestHeaders) {
+  // Tests bypass the circuit breaker, metrics, and retry queue so they never disturb delivery.
+  const abortController = new AbortController();
+  const timeoutId = setTimeout(() => abortController.abort(), DELIVERY_TIMEOUT_MS);
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(buildEndpointUrl(endpoint), {
+      method: 'POST',
+      headers: { ...requestHeaders, 'Content-Type': 'application/json' },
+      body,
+      signal: abortController.signal
+    });
+    return {
+      delivered: response.ok,
+      status: response.status,
+      latencyMs: Date.now() - startedAt,
+      failure: response.ok ? null : 'http-error',
+      classification: response.ok ? null : classifyDeliveryStatus(response.status)
+    };
+  } catch (error) {
+    return {
+      latencyMs: Date.now() - startedAt,
+      failure: classifyConnectionError(error),
+      message: error?.message ?? String(error)
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function classifyConnectionError(error) {
+  if (error?.name === 'AbortError') {
+    return 'timeout';
+  }
+
+  // Chrome usually reports a bare "Failed to fetch", so DNS and TLS failures can
+  // only be told apart when the error carries more detail.
+  const detail = [error?.message, error?.cause?.code, error?.cause?.message].filter(Boolean).join(' ');
+  if (/NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN|getaddrinfo|\bdns\b/i.test(detail)) {
+    return 'dns';
+  }
+  if (/CERT|SSL|TLS/i.test(detail)) {
+    return 'tls';
+  }
+  if (/TIMED_OUT|ETIMEDOUT/i.test(detail)) {
+    return 'timeout';
+  }
+  return 'network';
+}
+
+async function buildEndpointTestMessage(config) {
+  const context = buildGelfContext({
+    deviceAttributes: await collectHeartbeatIdentity(config),
+    runtimeContext: { extension: { version: chrome.runtime.getManifest?.()?.version } }
+  });
+
+  const message = createContextualGelfMessage(context, `Graylog agent connection test from ${context.host}`, '');
+  message.timestamp = Date.now() / 1000;
+  message._log_source = 'connectionTest';
+  message._message_id = crypto.randomUUID();
+  return message;
+}
+
+async function sendHeartbeat() {
+  const config = await getRuntimeConfiguration();
+  if (config.endpoints.length === 0) {
+    return;
+  }
+
+  const message = await buildHeartbeatMessage(config);
+  const batch = assignDeliveryId({ messages: [message], messageCount: 1 });
+  // Heartbeats never enter the retry queue: a late heartbeat would misreport
+  // when the device was last alive.
+  const result = await offerBatchToDestinations(batch, config.endpoints.map(buildEndpointKey), { ephemeral: true });
+
+  const outcome = summarizeDeliveryOutcome(result);
+  await updateHeartbeatState({ lastHeartbeat: outcome });
+
+  if (!result.delivered) {
+    await recordDiagnostic('heartbeat-failed', {
+      failure: outcome.failure,
+      statuses: outcome.statuses,
+      attempted: result.attempted
+    });
+    return;
+  }
+
+  await forwardDiagnosticsStream();
+}
+
+async function buildHeartbeatMessage(config) {
+  const { lastSuccessfulHarvestAt } = await loadHeartbeatState();
+  const index = await loadQueueIndex();
+  const context = buildGelfContext({
+    deviceAttributes: await collectHeartbeatIdentity(config),
+    runtimeContext: { extension: { version: chrome.runtime.getManifest?.()?.version } }
+  });
+
+  const message = createContextualGelfMessage(context, `Graylog agent heartbeat from ${context.host}`, '');
+  message.timestamp = Date.now() / 1000;
+  message._log_source = 'heartbeat';
+  message._message_id = crypto.randomUUID();
+  message._queue_depth = index.length;
+  message._config_fingerprint = await computeConfigFingerprint(config);
+  if (typeof lastSuccessfulHarvestAt === 'number') {
+    message._last_harvest_at = new Date(lastSuccessfulHarvestAt).toISOString();
+  }
+  return message;
+}
+
+async function collectHeartbeatIdentity(config) {
+  const plan = config.collectionPlan.deviceAttributes;
+  if (!plan?.enabled) {
+    return null;
+  }
+
+  if (collectorResultCache.has('deviceAttributes')) {
+    return collectorResultCache.get('deviceAttributes');
+  }
+
+  // A restarted worker has no cached identity yet; collecting it here also
+  // primes the cache for the next harvest.
+  const identityHealth = { deviceAttributes: (await loadCollectorHealth()).deviceAttributes };
+  const result = await runCollector(collectorRegistry.get('deviceAttributes'), plan, identityHealth, [], null);
+  // Health is re-read after the run and only this collector's entry written,
+  // so entries a harvest saved in the meantime are kept.
+  const health = await loadCollectorHealth();
+  health.deviceAttributes = identityHealth.deviceAttributes;
+  await saveCollectorHealth(health);
+  return result;
+}
+
+async function computeConfigFingerprint(config) {
+  // Secrets are masked first so the fingerprint tracks policy shape, not credentials.
+  const serialized = JSON.stringify(redactSecretDetails(config));
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(serialized));
+  return bytesToHex(new Uint8Array(digest)).slice(0, CONFIG_FINGERPRINT_LENGTH);
+}
+
+async function loadHeartbeatState() {
+  const { data } = await getStorageLocal(HEARTBEAT_STORAGE_KEY);
+  const stored = data?.[HEARTBEAT_STORAGE_KEY];
+  return stored && typeof stored === 'object' ? { ...stored } : {};
+}
+
+async function updateHeartbeatState(patch) {
+  const state = await loadHeartbeatState();
+  await setStorageLocal({ [HEARTBEAT_STORAGE_KEY]: { ...state, ...patch } });
+}
+
+async function loadAgentStatus() {
+  const { data } = await getStorageLocal(AGENT_STATUS_STORAGE_KEY);
+  const stored = data?.[AGENT_STATUS_STORAGE_KEY];
+  return stored && typeof stored === 'object' ? { ...stored } : {};
+}
+
+async function updateAgentStatus(patch) {
+  const state = await loadAgentStatus();
+  await setStorageLocal({ [AGENT_STATUS_STORAGE_KEY]: { ...state, ...patch } });
+}
+
+async function buildAgentStatus() {
+  const { sources, ...config } = await getRuntimeConfiguration();
+  const index = await loadQueueIndex();
+  const { lastHarvest, lastDelivery } = await loadAgentStatus();
+  const collectorHealth = await loadCollectorHealth();
+
+  return {
+    generatedAt: new Date().toISOString(),
+    configuration: redactConfigurationSecrets(config),
+    sources: { ...sources },
+    alarms: {
+      harvest: await getAlarmScheduledTime(HARVEST_ALARM_NAME),
+      retry: await getAlarmScheduledTime(RETRY_ALARM_NAME),
+      heartbeat: await getAlarmScheduledTime(HEARTBEAT_ALARM_NAME),
+      metrics: await getAlarmScheduledTime(METRICS_ALARM_NAME)
+    },
+    harvestInProgress,
+    deliveryFlushInProgress,
+    queue: {
+      length: index.length,
+      bytes: index.reduce((sum, record) => sum + record.sizeBytes, 0),
+      quarantined: index.filter((record) => record.quarantinedAt).length
+    },
+    collectors: [...collectorRegistry.keys()].map((id) => ({ id, health: collectorHealth[id] ?? null })),
+    lastHarvest: lastHarvest ?? null,
+    lastDelivery: lastDelivery ?? null
+  };
+}
+
+function getAlarmScheduledTime(name) {
+  return new Promise((resolve) => {
+    chrome.alarms.get(name, (alarm) => {
+      if (chrome.runtime.lastError || !alarm) {
+        resolve(null);
+        return;
+      }
+      resolve(new Date(alarm.scheduledTime).toISOString());
+    });
+  });
+}
+
+function redactConfigurationSecrets(config) {
+  // Custom header names are not secret, but their values usually are.
+  const redactAuth = (auth) =>
+    auth?.type === 'headers'
+      ? { ...auth, headers: Object.fromEntries(Object.keys(auth.headers).map((name) => [name, REDACTED_PLACEHOLDER])) }
+      : auth;
+
+  return redactSecretDetails({
+    ...config,
+    auth: redactAuth(config.auth),
+    endpointAuth: Object.fromEntries(
+      Object.entries(config.endpointAuth ?? {}).map(([key, auth]) => [key, redactAuth(auth)])
+    )
+  });
+}
+
+async function forwardDiagnosticsStream() {
+  if (diagnosticsStreamInProgress) {
+    return;
+  }
+
+  const config = await getRuntimeConfiguration();
+  if (!config.forwardDiagnostics || config.endpoints.length === 0) {
+    return;
+  }
+
+  diagnosticsStreamInProgress = true;
+  try {
+    await deliverDiagnosticsStream(config);
+  } finally {
+    diagnosticsStreamInProgress = false;
+  }
+}
+
+async function deliverDiagnosticsStream(config) {
+  const state = await loadDiagnosticsStreamState();
+  const now = Date.now();
+  if (now - state.windowStart >= DIAGNOSTICS_STREAM_WINDOW_MS) {
+    state.windowStart = now;
+    state.sentInWindow = 0;
+  }
+
+  // Entries beyond the hourly budget stay pending until the next window.
+  const budget = DIAGNOSTICS_STREAM_MAX_PER_HOUR - state.sentInWindow;
+  if (budget <= 0) {
+    return;
+  }
+
+  const { data, success } = await getStorageLocal(DIAGNOSTICS_STORAGE_KEY);
+  if (!success) {
+    return;
+  }
+
+  const stored = Array.isArray(data?.[DIAGNOSTICS_STORAGE_KEY]) ? data[DIAGNOSTICS_STORAGE_KEY] : [];
+  const pending = stored.filter((entry) => isDiagnosticPending(entry, state.cursor));
+  if (pending.length === 0) {
+    return;
+  }
+
+  // Repeats of an entry already in this upload only raise its repeat count.
+  const groups = [];
+  const consumed = [];
+  for (const entry of pending) {
+    const group = groups.find((candidate) => diagnosticsEntriesMatch(candidate.entry, entry));
+    if (!group && groups.length >= budget) {
+      break;
+    }
+    if (group) {
+      group.count += 1;
+    } else {
+      groups.push({ entry, count: 1 });
+    }
+    consumed.push(entry);
+  }
+
+  const context = buildDiagnosticsGelfContext();
+  const messages = groups.map(({ entry, count }) => encodeDiagnosticMessage(entry, context, count));
+  const destinations = config.endpoints.map(buildEndpointKey);
+
+  // The stream is never queued; undelivered entries are offered again next time.
+  for (const batch of await createDeliveryBatches(messages, config)) {
+    const result = await offerBatchToDestinations(batch, destinations, { quiet: true, ephemeral: true });
+    if (!result.delivered) {
+      await recordDiagnostic(
+        'diagnostics-stream-failed',
+        { failure: result.failure, statuses: result.statuses ?? [], pending: pending.length },
+        { skipStorage: true }
+      );
+      return;
+    }
+  }
+
+  await saveDiagnosticsStreamState({
+    ...state,
+    cursor: advanceDiagnosticsCursor(state.cursor, consumed),
+    sentInWindow: state.sentInWindow + messages.length
+  });
+}
+
+function isDiagnosticPending(entry, cursor) {
+  const timestamp = entry?.timestamp ?? '';
+  if (!cursor) {
+    return true;
+  }
+
+  // ISO timestamps from the same clock order lexicographically.
+  if (timestamp !== cursor.timestamp) {
+    return timestamp > cursor.timestamp;
+  }
+
+  return !cursor.identities.includes(buildDiagnosticIdentity(entry));
+}
+
+function advanceDiagnosticsCursor(cursor, consumed) {
+  const timestamp = consumed[consumed.length - 1].timestamp ?? '';
+  const identities = consumed
+    .filter((entry) => entry.timestamp === timestamp)
+    .map((entry) => buildDiagnosticIdentity(entry));
+
+  return {
+    timestamp,
+    identities: cursor?.timestamp === timestamp ? [...cursor.identities, ...identities] : identities
+  };
+}
+
+function buildDiagnosticsGelfContext() {
+  const context = buildGelfContext({
+    deviceAttributes: collectorResultCache.get('deviceAttributes') ?? null,
+    runtimeContext: { extension: { version: chrome.runtime.getManifest?.()?.version } }
+  });
+  context.fields._facility = DIAGNOSTICS_GELF_FACILITY;
+  return context;
+}
+
+function encodeDiagnosticMessage(entry, context, repeatCount) {
+  const message = createContextualGelfMessage(context, `Agent diagnostic: ${entry.code}`, '');
+  message.timestamp = resolveHarvestTimestampMs(entry) / 1000;
+  message.level = resolveDiagnosticSeverityLevel(entry);
+  message._message_id = crypto.randomUUID();
+  message._diagnostic_code = entry.code;
+  message._diagnostic_severity = resolveDiagnosticSeverity(entry);
+  message._diagnostic_category = entry.category ?? describeDiagnosticCode(entry.code).category;
+  if (repeatCount > 1) {
+    message._diagnostic_repeat_count = repeatCount;
+  }
+  appendGelfFields(message, 'detail', entry.details);
+  return message;
+}
+
+async function loadDiagnosticsStreamState() {
+  const { data } = await getStorageLocal(DIAGNOSTICS_STREAM_STORAGE_KEY);
+  const stored = data?.[DIAGNOSTICS_STREAM_STORAGE_KEY];
+  return { cursor: null, windowStart: 0, sentInWindow: 0, ...(stored && typeof stored === 'object' ? stored : {}) };
+}
+
+async function saveDiagnosticsStreamState(state) {
+  await setStorageLocal({ [DIAGNOSTICS_STREAM_STORAGE_KEY]: state });
+}
+
+function createEmptyMetrics(lastEmittedAt = null) {
+  return {
+    since: new Date().toISOString(),
+    lastEmittedAt,
+    counters: Object.fromEntries(METRIC_COUNTERS.map((name) => [name, 0])),
+    apiErrors: {},
+    deliveryLatencyMs: []
+  };
+}
+
+async function loadAgentMetrics() {
+  if (agentMetrics) {
+    return agentMetrics;
+  }
+
+  const { data } = await getStorageLocal(METRICS_STORAGE_KEY);
+  const stored = data?.[METRICS_STORAGE_KEY];
+  const empty = createEmptyMetrics();
+  agentMetrics =
+    stored && typeof stored === 'object'
+      ? {
+          ...empty,
+          ...stored,
+          counters: { ...empty.counters, ...stored.counters },
+          apiErrors: { ...stored.apiErrors },
+          deliveryLatencyMs: Array.isArray(stored.deliveryLatencyMs) ? stored.deliveryLatencyMs : []
+        }
+      : empty;
+  return agentMetrics;
+}
+
+async function updateAgentMetrics(mutate) {
+  const metrics = await loadAgentMetrics();
+  mutate(metrics);
+  await setStorageLocal({ [METRICS_STORAGE_KEY]: metrics });
+}
+
+function incrementMetric(name, amount = 1) {
+  return updateAgentMetrics((metrics) => {
+    metrics.counters[name] = (metrics.counters[name] ?? 0) + amount;
+  });
+}
+
+function recordDeliveryMetrics(batch, body, latencyMs) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body).length : body.length;
+  return updateAgentMetrics((metrics) => {
+    metrics.counters.payloadsSent += 1;
+    metrics.counters.messagesSent += Number(batch?.messageCount) || 0;
+    metrics.counters.bytesSent += bytes;
+    metrics.deliveryLatencyMs = [...metrics.deliveryLatencyMs, latencyMs].slice(-MAX_LATENCY_SAMPLES);
+  });
+}
+
+async function resetAgentMetrics() {
+  const { lastEmittedAt } = await loadAgentMetrics();
+  // The emission schedule survives a reset so dashboards keep a steady cadence.
+  agentMetrics = createEmptyMetrics(lastEmittedAt);
+  await setStorageLocal({ [METRICS_STORAGE_KEY]: agentMetrics });
+}
+
+async function buildMetricsSnapshot() {
+  const metrics = await loadAgentMetrics();
+  const index = await loadQueueIndex();
+
+  return {
+    since: metrics.since,
+    lastEmittedAt: metrics.lastEmittedAt ? new Date(metrics.lastEmittedAt).toISOString() : null,
+    counters: { ...metrics.counters },
+    gauges: {
+      queueDepth: index.length,
+      queueBytes: index.reduce((sum, record) => sum + record.sizeBytes, 0),
+      quarantinedBatches: index.filter((record) => record.quarantinedAt).length
+    },
+    deliveryLatencyMs: summarizeLatency(metrics.deliveryLatencyMs),
+    apiErrors: { ...metrics.apiErrors }
+  };
+}
+
+function summarizeLatency(samples) {
+  if (samples.length === 0) {
+    return { samples: 0, p50: null, p90: null, p99: null, max: null };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = (rank) => sorted[Math.max(0, Math.ceil((rank / 100) * sorted.length) - 1)];
+  return {
+    samples: sorted.length,
+    p50: percentile(50),
+    p90: percentile(90),
+    p99: percentile(99),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+async function isMetricsEmissionDue(config) {
+  const intervalMs = config.metricsIntervalMinutes * 60 * 1000;
+  if (intervalMs === 0) {
+    return false;
+  }
+
+  const { lastEmittedAt } = await loadAgentMetrics();
+  return !lastEmittedAt || Date.now() - lastEmittedAt >= intervalMs - ALARM_DUE_TOLERANCE_MS;
+}
+
+async function sendAgentMetrics() {
+  const config = await getRuntimeConfiguration();
+  // Restarts re-create the alarm, so the interval is re-checked against the last emission.
+  if (config.endpoints.length === 0 || !(await isMetricsEmissionDue(config))) {
+    return;
+  }
+
+  const message = await buildMetricsMessage({
+    deviceAttributes: await collectHeartbeatIdentity(config),
+    runtimeContext: { extension: { version: chrome.runtime.getManifest?.()?.version } }
+  });
+  const destinations = config.endpoints.map(buildEndpointKey);
+
+  // Metrics are cumulative snapshots, so unlike heartbeats a late one is still
+  // accurate and failed sends go through the retry queue.
+  for (const batch of await createDeliveryBatches([message], config)) {
+    const result = await offerBatchToDestinations(batch, destinations, {});
+    if (result.delivered) {
+      continue;
+    }
+    if (result.failure === 'rejected') {
+      await recordDeliveryRejection(destinations, batch, result);
+      continue;
+    }
+    await enqueueBatchForRetry(destinations, batch, 0, result);
+  }
+
+  await updateAgentMetrics((metrics) => {
+    metrics.lastEmittedAt = Date.now();
+  });
+}
+
+async function buildMetricsMessage(payload) {
+  const snapshot = await buildMetricsSnapshot();
+  const context = buildGelfContext(payload);
+  const message = createContextualGelfMessage(context, `Graylog agent metrics from ${context.host}`, '');
+  message.timestamp = Date.now() / 1000;
+  message._log_source = 'agentMetrics';
+  message._message_id = crypto.randomUUID();
+  appendGelfFields(message, 'metric', {
+    since: snapshot.since,
+    ...snapshot.counters,
+    ...snapshot.gauges,
+    deliveryLatencyMs: snapshot.deliveryLatencyMs,
+    apiErrors: snapshot.apiErrors
+  });
+  return message;
+}
+
+async function handleAdministrativeMessage(message, sender) {
+  if (!message || typeof message !== 'object') {
+    return null;
+  }
+
+  if (sender?.id && sender.id !== chrome.runtime.id) {
+    return null;
+  }
+
+  const action = typeof message.type === 'string' ? message.type : message.action;
+
+  switch (action) {
+    case 'graylog:listDiagnostics':
+      // The live view refreshes on every diagnostic write, so it skips the
+      // export header and its device identity lookups.
+      return (async () => ({ diagnostics: await collectDiagnosticsSnapshot(normalizeDiagnosticsFilters(message)) }))();
+    case 'graylog:exportDiagnostics':
+      return (async () => {
+        const filters = normalizeDiagnosticsFilters(message);
+        const diagnostics = await collectDiagnosticsSnapshot(filters);
+        return { header: await buildDiagnosticsExportHeader(filters, diagnostics.length), diagnostics };
+      })();
+    case 'graylog:exportSupportArchive':
+      return (async () => {
+        const filters = normalizeDiagnosticsFilters(message);
+        const diagnostics = await collectDiagnosticsSnapshot(filters);
+        const archive = {
+          header: await buildDiagnosticsExportHeader(filters, diagnostics.length),
+          status: await buildAgentStatus(),
+          queue: (await loadQueueIndex()).map(describeQueueRecord),
+          metrics: await buildMetricsSnapshot(),
+          diagnostics
+        };
+        await recordDiagnostic('support-archive-exported', {
+          source: 'admin-request',
+          diagnostics: diagnostics.length,
+          queued: archive.queue.length
+        });
+        return { archive };
+      })();
+    case 'graylog:clearRetryQueue':
+      return (async () => {
+        await clearDeliveryQueue();
+        await clearRetryAlarm();
+        await recordDiagnostic('delivery-queue-cleared', { source: 'admin-request' });
+        return { cleared: true };
+      })();
+    case 'graylog:flushRetryQueue':
+      return (async () => {
+        await releaseQuarantinedEntries('admin-request');
+        await flushDeliveryQueue({ allowDuringHarvest: true });
+        const index = await loadQueueIndex();
+        await recordDiagnostic('delivery-queue-flush-requested', {
+          source: 'admin-request',
+          remaining: index.length
+        });
+        return { remaining: index.length };
+      })();
+    case 'graylog:getMetrics':
+      return (async () => {
+        const metrics = await buildMetricsSnapshot();
+        const reset = message.reset === true;
+        if (reset) {
+          await resetAgentMetrics();
+          await recordDiagnostic('metrics-reset', { source: 'admin-request' });
+        }
+        return { metrics, reset };
+      })();
+    case 'graylog:getLocalSettings':
+      return describeLocalSettings();
+    case 'graylog:saveLocalSettings':
+      return saveLocalSettings(message.settings);
+    case 'graylog:testEndpoint':
+      return (async () => ({ results: await testEndpoints(message.endpoint) }))();
+    case 'graylog:previewPayload':
+      return (async () => {
+        const preview = await buildPayloadPreview();
+        await recordDiagnostic('payload-previewed', {
+          source: 'admin-request',
+          parts: preview.parts.length,
+          totalBytes: preview.sizes.total
+        });
+        return { preview };
+      })();
+    case 'graylog:harvestNow':
+      return (async () => {
+        // scheduleLogHarvest claims the overlap guard synchronously, so checking it just
+        // before the call tells whether this request ran a harvest or was skipped.
+        const overlapping = harvestInProgress;
+        await scheduleLogHarvest();
+        if (overlapping) {
+          return { harvested: false, reason: 'harvest-in-progress', lastHarvest: null };
+        }
+        await recordDiagnostic('harvest-requested', { source: 'admin-request' });
+        const { lastHarvest } = await loadAgentStatus();
+        return { harvested: true, lastHarvest: lastHarvest ?? null };
+      })();
+    case 'graylog:getStatus':
+      return (async () => ({ status: await buildAgentStatus() }))();
+    case 'graylog:getHeartbeat':
+      return (async () => {
+        const { heartbeatIntervalMinutes } = await getRuntimeConfiguration();
+        const { lastSuccessfulHarvestAt, lastHeartbeat } = await loadHeartbeatState();
+        return {
+          heartbeat: {
+            intervalMinutes: heartbeatIntervalMinutes,
+            lastSuccessfulHarvestAt:
+              typeof lastSuccessfulHarvestAt === 'number' ? new Date(lastSuccessfulHarvestAt).toISOString() : null,
+            lastHeartbeat: lastHeartbeat ?? null
+          }
+        };
+      })();
+    case 'graylog:clearDiagnostics':
+      return (async () => {
+        transientDiagnostics.length = 0;
+        await setStorageLocal({ [DIAGNOSTICS_STORAGE_KEY]: [] });
+        return { cleared: true };
+      })();
+    default:
+      return null;
+  }
+}
+
+async function collectDiagnosticsSnapshot(filters = {}) {
+  const { data, success } = await getStorageLocal(DIAGNOSTICS_STORAGE_KEY);
+  const persisted = success && Array.isArray(data?.[DIAGNOSTICS_STORAGE_KEY])
+    ? data[DIAGNOSTICS_STORAGE_KEY]
+    : [];
+
+  const minSeverity = normalizeMinimumSeverity(filters.minSeverity);
+  const maxLevel = minSeverity ? DIAGNOSTIC_SEVERITY_LEVELS[minSeverity] : Infinity;
+  const since = filters.since ? Date.parse(filters.since) : -Infinity;
+  const until = filters.until ? Date.parse(filters.until) : Infinity;
+  const codes = Array.isArray(filters.codes) && filters.codes.length > 0 ? new Set(filters.codes) : null;
+  const merged = mergeDiagnostics(persisted, transientDiagnostics);
+  return merged
+    .filter((entry) => resolveDiagnosticSeverityLevel(entry) <= maxLevel)
+    .filter((entry) => !codes || codes.has(entry?.code))
+    .filter((entry) => {
+      // Entries without a parseable timestamp only survive an unbounded range.
+      const time = Date.parse(entry?.timestamp ?? '');
+      return Number.isFinite(time) ? time >= since && time <= until : !filters.since && !filters.until;
+    })
+    .map((entry) => {
+      const definition = describeDiagnosticCode(entry?.code);
+      return {
+        ...entry,
+        severity: resolveDiagnosticSeverity(entry),
+        category: entry?.category ?? definition.category,
+        description: definition.description,
+        details: redactSecretDetails(entry?.details ?? {})
+      };
+    });
+}
+
+function mergeDiagnostics(persisted, transient) {
+  const combined = [];
+  const seen = new Set();
+
+  const append = (entry) => {
+    if (!entry) {
+      return;
+    }
+    const key = buildDiagnosticIdentity(entry);
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    combined.push(entry);
+  };
+
+  persisted.forEach(append);
+  transient.forEach(append);
+
+  combined.sort((a, b) => {
+    const aTime = Date.parse(a?.timestamp ?? '') || 0;
+    const bTime = Date.parse(b?.timestamp ?? '') || 0;
+    return aTime - bTime;
+  });
+
+  return trimDiagnosticsToCapacity(combined);
+}
+
+function buildDiagnosticIdentity(entry) {
+  try {
+    return [entry?.code ?? 'unknown', JSON.stringify(entry?.details ?? {}), entry?.timestamp ?? ''].join('|');
+  } catch (error) {
+    console.warn('[ChromeOS Graylog Agent] Failed to build diagnostic identity', error);
+    return `${entry?.code ?? 'unknown'}|${entry?.timestamp ?? ''}`;
+  }
+}
+
+function computeGuardThresholdMs(config) {
+  const pollInterval = sanitizePollInterval(config.pollIntervalMinutes);
+  const guardMinutes = Math.max(
+    sanitizeOptionalNumber(config.guardThresholdMinutes) ?? DEFAULT_GUARD_THRESHOLD_MINUTES,
+    pollInterval
+  );
+
+  return guardMinutes * 60 * 1000;
+}
+
+function sanitizePollInterval(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed >= 1) {
+    return Math.min(parsed, MAX_POLL_INTERVAL_MINUTES);
+  }
+  return DEFAULT_POLL_INTERVAL_MINUTES;
+}
+
+function sanitizeMaxMessagesPerBatch(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed >= 1) {
+    return Math.min(Math.floor(parsed), MAX_MESSAGES_PER_BATCH_CEILING);
+  }
+  return DEFAULT_MAX_MESSAGES_PER_BATCH;
+}
+
+function sanitizeQueueMaxMegabytes(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed >= 1) {
+    return Math.min(parsed, MAX_QUEUE_MAX_MEGABYTES);
+  }
+  return DEFAULT_QUEUE_MAX_MEGABYTES;
+}
+
+function sanitizeQueueMaxBatches(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed >= 1) {
+    return Math.min(Math.floor(parsed), MAX_QUEUE_MAX_BATCHES);
+  }
+  return DEFAULT_QUEUE_MAX_BATCHES;
+}
+
+function sanitizeMaxDeliveryAttempts(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed >= 1) {
+    return Math.min(Math.floor(parsed), MAX_DELIVERY_ATTEMPTS_CEILING);
+  }
+  return DEFAULT_MAX_DELIVERY_ATTEMPTS;
+}
+
+function sanitizeMetricsInterval(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed >= 0) {
+    // Zero disables the periodic metrics message.
+    return Math.min(parsed, MAX_METRICS_INTERVAL_MINUTES);
+  }
+  return DEFAULT_METRICS_INTERVAL_MINUTES;
+}
+
+function sanitizeHeartbeatInterval(value) {
+  const parsed = Number(value);
+  if (parsed === 0) {
+    // Zero disables heartbeats.
+    return 0;
+  }
+  if (Number.isFinite(parsed) && parsed >= 1) {
+    return Math.min(parsed, MAX_HEARTBEAT_INTERVAL_MINUTES);
+  }
+  return DEFAULT_HEARTBEAT_INTERVAL_MINUTES;
+}
+
+function normalizeCompression(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const normalized = value.trim().toLowerCase();
+  return COMPRESSION_MODES.includes(normalized) ? normalized : null;
+}
+
+function sanitizeOptionalInterval(value) {
+  // Unlike sanitizeOptionalNumber, zero survives so policy can disable a periodic task.
+  if (value == null || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function sanitizeOptionalNumber(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return parsed;
+  }
+  return null;
+}
+
+async function redactPayload(payload, redaction, options = {}) {
+  if (!redaction || !payload) {
+    return payload;
+  }
+
+  const detectors = buildRedactionDetectors(redaction, payload.deviceAttributes);
+  const context = {
+    detectors,
+    counts: {},
+    hashKey: null,
+    hashCache: new Map(),
+    salt: redaction.hashSalt
+  };
+
+  const redacted = { ...payload };
+  for (const [section, value] of Object.entries(payload)) {
+    if (section === 'timestamp') {
+      continue;
+    }
+    // The identity section exists to carry the device's own identifiers, so
+    // only the literal identifier matcher skips it; collector policy omits them.
+    context.detectors =
+      section === 'deviceAttributes' ? detectors.filter((detector) => !detector.literal) : detectors;
+    redacted[section] = await redactValue(value, context);
+  }
+
+  const total = Object.values(context.counts).reduce((sum, entry) => sum + entry.count, 0);
+  if (total === 0 || options.record === false) {
+    return redacted;
+  }
+
+  await recordDiagnostic('payload-redacted', {
+    total,
+    detectors: Object.fromEntries(
+      Object.entries(context.counts).map(([id, entry]) => [id, { action: entry.action, count: entry.count }])
+    )
+  });
+
+  return redacted;
+}
+
+function buildRedactionDetectors(redaction, deviceAttributes) {
+  const detectors = [];
+
+  for (const detector of REDACTION_DETECTORS) {
+    const action = redaction.detectors[detector.id];
+    if (action) {
+      detectors.push({ ...detector, action });
+    }
+  }
+
+  // The device's own identifiers are matched literally wherever they appear in logs.
+  const serialAction = redaction.detectors.serial;
+  if (serialAction) {
+    const identifiers = [deviceAttributes?.serialNumber, deviceAttributes?.assetId].filter(
+      (value) => typeof value === 'string' && value.length >= 4
+    );
+    if (identifiers.length > 0) {
+      detectors.push({
+        id: 'serial',
+        action: serialAction,
+        literal: true,
+        pattern: new RegExp(identifiers.map(escapeRegExp).join('|'), 'g')
+      });
+    }
+  }
+
+  for (const rule of redaction.rules) {
+    detectors.push({ id: rule.id, action: rule.action, pattern: new RegExp(rule.pattern, `${rule.flags}g`) });
+  }
+
+  return detectors;
+}
+
+async function redactValue(value, context) {
+  if (typeof value === 'string') {
+    return redactString(value, context);
+  }
+
+  if (Array.isArray(value)) {
+    const result = [];
+    for (const entry of value) {
+      result.push(await redactValue(entry, context));
+    }
+    return result;
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = await redactValue(entry, context);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+async function redactString(text, context) {
+  let result = text;
+
+  for (const detector of context.detectors) {
+    detector.pattern.lastIndex = 0;
+    const matches = [...result.matchAll(detector.pattern)];
+    if (matches.length === 0) {
+      continue;
+    }
+
+    let rebuilt = '';
+    let lastIndex = 0;
+    for (const match of matches) {
+      const prefix = detector.valueGroup ? match[1] : '';
+      const secret = detector.valueGroup ? match[detector.valueGroup] : match[0];
+      const replacement = await buildRedactionReplacement(detector, secret, context);
+      rebuilt += result.slice(lastIndex, match.index) + prefix + replacement;
+      lastIndex = match.index + match[0].length;
+    }
+    result = rebuilt + result.slice(lastIndex);
+
+    const counter = context.counts[detector.id] ?? { action: detector.action, count: 0 };
+    counter.count += matches.length;
+    context.counts[detector.id] = counter;
+  }
+
+  return result;
+}
+
+async function buildRedactionReplacement(detector, value, context) {
+  if (detector.action === 'drop') {
+    return '';
+  }
+
+  if (detector.action === 'hash' && context.salt) {
+    return `[${detector.id}#${await computeRedactionHash(value, context)}]`;
+  }
+
+  return `[redacted:${detector.id}]`;
+}
+
+async function computeRedactionHash(value, context) {
+  if (context.hashCache.has(value)) {
+    return context.hashCache.get(value);
+  }
+
+  const encoder = new TextEncoder();
+  if (!context.hashKey) {
+    context.hashKey = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(context.salt),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+  }
+
+  const signature = await crypto.subtle.sign('HMAC', context.hashKey, encoder.encode(value));
+  const digest = bytesToHex(new Uint8Array(signature)).slice(0, REDACTION_HASH_LENGTH);
+  context.hashCache.set(value, digest);
+  return digest;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function enforcePayloadConstraints(payload) {
+  const { parts, decisions } = planPayloadParts(payload);
+  if (parts.length === 1 && !decisions.dropped) {
+    return parts;
+  }
+
+  await recordDiagnostic('payload-split', {
+    correlationId: decisions.correlationId,
+    originalSize: decisions.originalSize,
+    parts: parts.length,
+    splitSystemLogEntries: decisions.splitSystemLogEntries
+  });
+
+  if (decisions.dropped) {
+    await recordDiagnostic('payload-data-dropped', {
+      correlationId: decisions.correlationId,
+      droppedLogEvents: decisions.dropped.logEvents,
+      droppedArtifacts: decisions.dropped.artifacts
+    });
+  }
+
+  return parts;
+}
+
+function planPayloadParts(payload) {
+  const originalSize = estimateSerializedSizeBytes(payload);
+  if (originalSize <= HARVEST_SIZE_LIMIT_BYTES) {
+    return {
+      parts: [payload],
+      decisions: { originalSize, correlationId: null, splitSystemLogEntries: 0, dropped: null }
+    };
+  }
+
+  const { logArtifacts, timestamp, deviceAttributes, runtimeContext, ...leadingSections } = payload;
+  const { logEvents, systemLogs, ...leadingArtifacts } = logArtifacts ?? {};
+  // Identity sections are repeated so every part resolves the same GELF host.
+  const shared = { timestamp, deviceAttributes, runtimeContext };
+  const partBudget =
+    HARVEST_SIZE_LIMIT_BYTES - estimateSerializedSizeBytes(shared) - HARVEST_PART_OVERHEAD_BYTES;
+  const dropped = { logEvents: 0, artifacts: [] };
+  let splitSystemLogEntries = 0;
+
+  // Remaining sections travel with the first part. Artifacts that cannot fit
+  // even there are dropped, largest first, as a last resort.
+  const artifactSizes = Object.entries(leadingArtifacts)
+    .map(([name, value]) => [name, estimateSerializedSizeBytes(value)])
+    .sort(([, a], [, b]) => b - a);
+  let leadingSize = estimateSerializedSizeBytes({ ...leadingSections, logArtifacts: leadingArtifacts });
+  for (const [name, size] of artifactSizes) {
+    if (leadingSize <= partBudget) {
+      break;
+    }
+    delete leadingArtifacts[name];
+    dropped.artifacts.push(name);
+    leadingSize -= size;
+  }
+
+  const items = [];
+  for (const event of Array.isArray(logEvents) ? logEvents : []) {
+    const size = estimateSerializedSizeBytes(event) + 1;
+    if (size > partBudget) {
+      dropped.logEvents += 1;
+      continue;
+    }
+    items.push({ list: 'logEvents', value: event, size });
+  }
+
+  for (const entry of Array.isArray(systemLogs) ? systemLogs : []) {
+    const chunks = splitSystemLogEntry(entry, partBudget);
+    if (chunks.length > 1) {
+      splitSystemLogEntries += 1;
+    }
+    for (const chunk of chunks) {
+      items.push({ list: 'systemLogs', value: chunk, size: estimateSerializedSizeBytes(chunk) + 1 });
+    }
+  }
+
+  const groups = [];
+  let current = { logEvents: [], systemLogs: [] };
+  let currentSize = leadingSize;
+  for (const item of items) {
+    if (currentSize + item.size > partBudget) {
+      groups.push(current);
+      current = { logEvents: [], systemLogs: [] };
+      currentSize = 0;
+    }
+    current[item.list].push(item.value);
+    currentSize += item.size;
+  }
+  groups.push(current);
+
+  const correlationId = crypto.randomUUID();
+  const parts = groups.map((group, index) => {
+    const part = {
+      ...shared,
+      ...(index === 0 ? leadingSections : {}),
+      harvestPart: { correlationId, index: index + 1, count: groups.length }
+    };
+    const artifacts = index === 0 ? { ...leadingArtifacts } : {};
+    if (group.logEvents.length > 0) {
+      artifacts.logEvents = group.logEvents;
+    }
+    if (group.systemLogs.length > 0) {
+      artifacts.systemLogs = group.systemLogs;
+    }
+    if (Object.keys(artifacts).length > 0) {
+      part.logArtifacts = artifacts;
+    }
+    return part;
+  });
+
+  const hasDropped = dropped.logEvents > 0 || dropped.artifacts.length > 0;
+  if (hasDropped) {
+    parts[0].droppedData = dropped;
+  }
+
+  return {
+    parts,
+    decisions: { originalSize, correlationId, splitSystemLogEntries, dropped: hasDropped ? dropped : null }
+  };
+}
+
+function splitSystemLogEntry(entry, budget) {
+  if (estimateSerializedSizeBytes(entry) + 1 <= budget) {
+    return [entry];
+  }
+
+  const text = extractLogText(entry);
+  const fields = entry && typeof entry === 'object' ? omitKeys(entry, ['log', 'lineOffset', 'lineParts']) : {};
+  // UTF-8 and JSON escaping can expand characters, so chunks leave headroom.
+  const chunkLength = Math.max(1024, Math.floor((budget - estimateSerializedSizeBytes(fields)) / 3));
+  const chunks = [];
+  let currentLines = [];
+  let currentLength = 0;
+  let currentParts = {};
+  let lineNumber = 0;
+  let chunkOffset = 0;
+
+  const flush = () => {
+    if (currentLines.length > 0) {
+      const chunk = { ...fields, log: currentLines.join('\n'), lineOffset: chunkOffset };
+      if (Object.keys(currentParts).length > 0) {
+        chunk.lineParts = currentParts;
+      }
+      chunks.push(chunk);
+    }
+    currentLines = [];
+    currentLength = 0;
+    currentParts = {};
+  };
+
+  for (const line of text.split(/\r?\n/).filter((candidate) => candidate.trim() !== '')) {
+    lineNumber += 1;
+    // A single line longer than a chunk is cut into consecutive pieces that
+    // keep its line number and are told apart by part number.
+    const partCount = Math.ceil(line.length / chunkLength);
+    let part = 0;
+    for (let start = 0; start < line.length; start += chunkLength) {
+      const piece = line.slice(start, start + chunkLength);
+      // Blank pieces would be dropped when encoded, so they are skipped here
+      // without taking a part number; part 1 always starts a new line.
+      if (piece.trim() === '') {
+        continue;
+      }
+      part += 1;
+      if (currentLength + piece.length + 1 > chunkLength) {
+        flush();
+      }
+      if (currentLines.length === 0) {
+        chunkOffset = lineNumber - 1;
+      }
+      if (partCount > 1) {
+        currentParts[currentLines.length] = part;
+      }
+      currentLines.push(piece);
+      currentLength += piece.length + 1;
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+function cloneSerializable(value) {
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch (error) {
+    console.warn('[ChromeOS Graylog Agent] Failed to clone payload', error);
+    return value;
+  }
+}
+
+async function getRuntimeConfiguration() {
+  if (runtimeConfiguration) {
+    return runtimeConfiguration;
+  }
+
+  runtimeConfiguration = await loadConfiguration();
+  return runtimeConfiguration;
+}
+
+async function loadConfiguration() {
+  const [managedConfig, localConfig] = await Promise.all([
+    readManagedConfiguration(),
+    readLocalConfiguration()
+  ]);
+
+  if (managedConfig?.endpointErrors?.length) {
+    await recordDiagnostic('managed-endpoint-invalid', { errors: managedConfig.endpointErrors });
+  }
+
+  if (localConfig?.endpointErrors?.length) {
+    await recordDiagnostic('local-endpoint-invalid', { errors: localConfig.endpointErrors });
+  }
+
+  if (managedConfig?.authErrors?.length) {
+    await recordDiagnostic('managed-auth-invalid', { errors: managedConfig.authErrors });
+  }
+
+  if (localConfig?.authErrors?.length) {
+    await recordDiagnostic('local-auth-invalid', { errors: localConfig.authErrors });
+  }
+
+  if (managedConfig?.signingErrors?.length) {
+    await recordDiagnostic('managed-signing-invalid', { errors: managedConfig.signingErrors });
+  }
+
+  if (localConfig?.signingErrors?.length) {
+    await recordDiagnostic('local-signing-invalid', { errors: localConfig.signingErrors });
+  }
+
+  const ignoredCredentials = ['auth', 'signing'].filter((key) => localConfig?.[key]);
+  if (Object.keys(localConfig?.endpointAuth ?? {}).length > 0) {
+    ignoredCredentials.push('endpoints[].auth');
+  }
+  if (ignoredCredentials.length > 0) {
+    await recordDiagnostic('local-credentials-ignored', { fields: ignoredCredentials });
+  }
+
+  if (managedConfig?.redactionErrors?.length) {
+    await recordDiagnostic('managed-redaction-invalid', { errors: managedConfig.redactionErrors });
+  }
+
+  if (localConfig?.redactionErrors?.length) {
+    await recordDiagnostic('local-redaction-invalid', { errors: localConfig.redactionErrors });
+  }
+
+  if (managedConfig?.collectorErrors?.length) {
+    await recordDiagnostic('managed-collectors-invalid', { errors: managedConfig.collectorErrors });
+  }
+
+  if (localConfig?.collectorErrors?.length) {
+    await recordDiagnostic('local-collectors-invalid', { errors: localConfig.collectorErrors });
+  }
+
+  if (managedConfig?.circuitBreakerErrors?.length) {
+    await recordDiagnostic('managed-circuit-breaker-invalid', { errors: managedConfig.circuitBreakerErrors });
+  }
+
+  if (localConfig?.circuitBreakerErrors?.length) {
+    await recordDiagnostic('local-circuit-breaker-invalid', { errors: localConfig.circuitBreakerErrors });
+  }
+
+  const merged = mergeConfigurations(localConfig, managedConfig);
+  await recordDiagnostic('collection-plan', { plan: summarizeCollectionPlan(merged.collectionPlan) });
+  return merged;
+}
+
+async function readManagedConfiguration() {
+  const data = await getStorageManaged('graylogConfig');
+  const rawConfig = data?.graylogConfig;
+  return normalizeConfigurationSource(rawConfig);
+}
+
+async function readLocalConfiguration() {
+  const { data } = await getStorageLocal([GRAYLOG_SETTINGS_STORAGE_KEY, GRAYLOG_ENDPOINT_STORAGE_KEY]);
+  const settings = data?.[GRAYLOG_SETTINGS_STORAGE_KEY];
+  const legacyEndpoint = data?.[GRAYLOG_ENDPOINT_STORAGE_KEY];
+
+  if (settings && typeof settings === 'object') {
+    return normalizeConfigurationSource({ ...settings });
+  }
+
+  if (legacyEndpoint && typeof legacyEndpoint === 'object') {
+    return normalizeConfigurationSource({ endpoint: legacyEndpoint });
+  }
+
+  return null;
+}
+
+async function readStoredLocalSettings() {
+  const { data } = await getStorageLocal([GRAYLOG_SETTINGS_STORAGE_KEY, GRAYLOG_ENDPOINT_STORAGE_KEY]);
+  const settings = data?.[GRAYLOG_SETTINGS_STORAGE_KEY];
+  const legacyEndpoint = data?.[GRAYLOG_ENDPOINT_STORAGE_KEY];
+
+  if (settings && typeof settings === 'object') {
+    return { ...settings };
+  }
+
+  return legacyEndpoint && typeof legacyEndpoint === 'object' ? { endpoint: { ...legacyEndpoint } } : {};
+}
+
+async function describeLocalSettings() {
+  const stored = await readStoredLocalSettings();
+  const config = await getRuntimeConfiguration();
+
+  return {
+    settings: Object.fromEntries(LOCAL_SETTINGS_EDITABLE_FIELDS.map((field) => [field, stored[field] ?? null])),
+    // Managed values win over local ones, so the options page shows them read-only.
+    managed: Object.fromEntries(
+      LOCAL_SETTINGS_EDITABLE_FIELDS.filter((field) => config.sources[field] === 'managed').map((field) => [
+        field,
+        config[field]
+      ])
+    )
+  };
+}
+
+async function saveLocalSettings(update) {
+  if (!update || typeof update !== 'object') {
+    throw new Error('Settings must be an object');
+  }
+
+  const stored = await readStoredLocalSettings();
+  const { sources } = await getRuntimeConfiguration();
+  const fields = LOCAL_SETTINGS_EDITABLE_FIELDS.filter(
+    (field) => sources[field] !== 'managed' && Object.prototype.hasOwnProperty.call(update, field)
+  );
+
+  const candidate = { ...stored };
+  fields.forEach((field) => {
+    candidate[field] = update[field];
+  });
+  // A stored endpoints list outranks the single endpoint, so editing the
+  // endpoint replaces the list instead of being silently ignored.
+  if (fields.includes('endpoint')) {
+    delete candidate.endpoints;
+  }
+
+  const { settings, errors } = validateLocalSettings(candidate, fields, {
+    endpointManaged: sources.endpoint === 'managed'
+  });
+  if (Object.keys(errors).length > 0) {
+    return { saved: false, errors };
+  }
+
+  const { success } = await setStorageLocal({
+    [GRAYLOG_SETTINGS_STORAGE_KEY]: settings,
+    [GRAYLOG_ENDPOINT_STORAGE_KEY]: { ...settings.endpoint }
+  });
+  if (!success) {
+    throw new Error('Failed to persist local settings');
+  }
+
+  await recordDiagnostic('local-settings-updated', { source: 'admin-request', fields });
+  return { saved: true, errors: {} };
+}
+
+function validateLocalSettings(candidate, fields, options = {}) {
+  const errors = {};
+  const fail = (field, error) => {
+    errors[field] = [...(errors[field] ?? []), error];
+  };
+
+  if (fields.includes('endpoint') && (!candidate.endpoint || typeof candidate.endpoint !== 'object')) {
+    fail('endpoint', 'invalid-endpoint');
+  }
+  if (fields.includes('allowedHosts') && !Array.isArray(candidate.allowedHosts)) {
+    fail('allowedHosts', 'invalid-allowed-hosts');
+  }
+  if (fields.includes('allowHttpForTesting') && typeof candidate.allowHttpForTesting !== 'boolean') {
+    fail('allowHttpForTesting', 'invalid-boolean');
+  }
+  if (Object.keys(errors).length > 0) {
+    return { settings: null, errors };
+  }
+
+  // Fields are checked directly so a rejected save records no policy diagnostics.
+  const allowHttpForTesting = candidate.allowHttpForTesting === true;
+  const { hosts: allowedHosts } = filterHostsAgainstManifest(
+    sanitizeAllowedHostNames(candidate.allowedHosts),
+    allowHttpForTesting
+  );
+  const endpointResult = normalizeEndpoint(candidate.endpoint, { allowHttpForTesting, allowedHosts });
+  const normalized = {
+    endpoint: endpointResult.endpoint,
+    allowedHosts,
+    allowHttpForTesting,
+    pollIntervalMinutes: sanitizeOptionalNumber(candidate.pollIntervalMinutes),
+    guardThresholdMinutes: sanitizeOptionalNumber(candidate.guardThresholdMinutes)
+  };
+
+  if (fields.includes('endpoint')) {
+    endpointResult.errors.forEach((error) => fail('endpoint', error));
+    if (!endpointResult.valid && endpointResult.errors.length === 0) {
+      fail('endpoint', 'missing-host');
+    }
+  } else if (
+    !options.endpointManaged &&
+    (fields.includes('allowedHosts') || fields.includes('allowHttpForTesting'))
+  ) {
+    // Host policy edits are checked against the stored endpoints as well, or
+    // narrowing them would silently leave the agent without an endpoint.
+    endpointResult.errors.forEach((error) => fail('endpoint', error));
+    if (Array.isArray(candidate.endpoints)) {
+      normalizeEndpointList(candidate.endpoints, { allowHttpForTesting, allowedHosts }).errors.forEach((error) =>
+        fail('endpoint', error)
+      );
+    }
+  }
+
+  if (fields.includes('allowedHosts')) {
+    // Hosts are dropped during normalization rather than rejected, so report each one.
+    candidate.allowedHosts
+      .map((host) => (typeof host === 'string' ? host.trim() : ''))
+      .filter((host) => !allowedHosts.includes(host))
+      .forEach((host) => {
+        fail('allowedHosts', HOSTNAME_PATTERN.test(host) ? `host-permission-missing:${host}` : `invalid-host:${host}`);
+      });
+  }
+
+  // An emptied number field clears the local value, so the default applies again.
+  const cleared = ['pollIntervalMinutes', 'guardThresholdMinutes'].filter(
+    (field) => fields.includes(field) && (candidate[field] == null || candidate[field] === '')
+  );
+
+  const pollInterval = normalized.pollIntervalMinutes;
+  if (
+    fields.includes('pollIntervalMinutes') &&
+    !cleared.includes('pollIntervalMinutes') &&
+    (pollInterval === null || pollInterval < 1 || pollInterval > MAX_POLL_INTERVAL_MINUTES)
+  ) {
+    fail('pollIntervalMinutes', 'out-of-range');
+  }
+
+  if (
+    fields.includes('guardThresholdMinutes') &&
+    !cleared.includes('guardThresholdMinutes') &&
+    normalized.guardThresholdMinutes === null
+  ) {
+    fail('guardThresholdMinutes', 'out-of-range');
+  }
+
+  const settings = { ...candidate };
+  fields.forEach((field) => {
+    settings[field] = normalized[field];
+  });
+  cleared.forEach((field) => {
+    delete settings[field];
+  });
+  return { settings, errors };
+}
+
+function normalizeConfigurationSource(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const allowHttpForTesting = raw.allowHttpForTesting === true;
+  const hostPermissionCheck = filterHostsAgainstManifest(
+    sanitizeAllowedHostNames(raw.allowedHosts),
+    allowHttpForTesting
+  );
+  const sanitizedAllowedHosts = hostPermissionCheck.hosts;
+  hostPermissionCheck.removed.forEach((item) => {
+    recordDiagnostic('host-permission-mismatch', {
+      host: item.host,
+      missingHttps: item.missingHttps === true,
+      missingHttp: item.missingHttp === true
+    }).catch((error) => {
+      console.warn('[ChromeOS Graylog Agent] Failed to report host permission mismatch', error);
+    });
+  });
+
+  const endpointCandidate =
+    raw.endpoint && typeof raw.endpoint === 'object' ? raw.endpoint : raw;
+
+  const endpointResult = normalizeEndpoint(endpointCandidate, {
+    allowHttpForTesting,
+    allowedHosts: sanitizedAllowedHosts
+  });
+  const authResult = normalizeAuth(raw.auth);
+  const signingResult = normalizeSigning(raw.signing);
+  const redactionResult = normalizeRedaction(raw.redaction);
+  const collectorsResult = normalizeCollectors(raw.collectors);
+  const circuitBreakerResult = normalizeCircuitBreaker(raw.circuitBreaker);
+  const endpointListResult = Array.isArray(raw.endpoints)
+    ? normalizeEndpointList(raw.endpoints, { allowHttpForTesting, allowedHosts: sanitizedAllowedHosts })
+    : {
+        endpoints: endpointResult.valid ? [endpointResult.endpoint] : [],
+        endpointAuth: {},
+        errors: endpointResult.errors,
+        authErrors: []
+      };
+
+  return {
+    endpoint: endpointListResult.endpoints[0] ?? endpointResult.endpoint,
+    endpoints: endpointListResult.endpoints,
+    endpointAuth: endpointListResult.endpointAuth,
+    endpointValid: endpointListResult.endpoints.length > 0,
+    endpointErrors: endpointListResult.errors,
+    auth: authResult.auth,
+    authErrors: [...authResult.errors, ...endpointListResult.authErrors],
+    signing: signingResult.signing,
+    signingErrors: signingResult.errors,
+    redaction: redactionResult.redaction,
+    redactionErrors: redactionResult.errors,
+    collectors: collectorsResult.collectors,
+    collectorErrors: collectorsResult.errors,
+    circuitBreaker: circuitBreakerResult.circuitBreaker,
+    circuitBreakerErrors: circuitBreakerResult.errors,
+    pollIntervalMinutes: sanitizeOptionalNumber(raw.pollIntervalMinutes),
+    guardThresholdMinutes: sanitizeOptionalNumber(raw.guardThresholdMinutes),
+    maxMessagesPerBatch: sanitizeOptionalNumber(raw.maxMessagesPerBatch),
+    queueMaxMegabytes: sanitizeOptionalNumber(raw.queueMaxMegabytes),
+    queueMaxBatches: sanitizeOptionalNumber(raw.queueMaxBatches),
+    maxDeliveryAttempts: sanitizeOptionalNumber(raw.maxDeliveryAttempts),
+    metricsIntervalMinutes: sanitizeOptionalInterval(raw.metricsIntervalMinutes),
+    heartbeatIntervalMinutes: sanitizeOptionalInterval(raw.heartbeatIntervalMinutes),
+    forwardDiagnostics: typeof raw.forwardDiagnostics === 'boolean' ? raw.forwardDiagnostics : null,
+    compression: normalizeCompression(raw.compression),
+    allowHttpForTesting,
+    allowedHosts: sanitizedAllowedHosts
+  };
+}
+
+function normalizeEndpointList(rawEndpoints, options) {
+  const endpoints = [];
+  const endpointAuth = {};
+  const errors = [];
+  const authErrors = [];
+
+  if (rawEndpoints.length > MAX_ENDPOINTS) {
+    errors.push('too-many-endpoints');
+  }
+
+  rawEndpoints.slice(0, MAX_ENDPOINTS).forEach((rawEndpoint, index) => {
+    const result = normalizeEndpoint(rawEndpoint, options);
+    errors.push(...result.errors.map((error) => `endpoints[${index}]:${error}`));
+    if (!result.valid) {
+      return;
+    }
+
+    const key = buildEndpointKey(result.endpoint);
+    if (endpoints.some((endpoint) => buildEndpointKey(endpoint) === key)) {
+      errors.push(`endpoints[${index}]:duplicate-endpoint`);
+      return;
+    }
+
+    endpoints.push(result.endpoint);
+
+    if (rawEndpoint.auth != null) {
+      const authResult = normalizeAuth(rawEndpoint.auth);
+      authErrors.push(...authResult.errors.map((error) => `endpoints[${index}]:${error}`));
+      if (authResult.auth) {
+        endpointAuth[key] = authResult.auth;
+      }
+    }
+  });
+
+  return { endpoints, endpointAuth, errors, authErrors };
+}
+
+function mergeConfigurations(localConfig, managedConfig) {
+  const merged = {
+    endpoint: { ...DEFAULT_ENDPOINT },
+    endpoints: [],
+    endpointAuth: {},
+    pollIntervalMinutes: DEFAULT_POLL_INTERVAL_MINUTES,
+    guardThresholdMinutes: DEFAULT_GUARD_THRESHOLD_MINUTES,
+    allowHttpForTesting: false,
+    allowedHosts: [],
+    maxMessagesPerBatch: DEFAULT_MAX_MESSAGES_PER_BATCH,
+    queueMaxMegabytes: DEFAULT_QUEUE_MAX_MEGABYTES,
+    queueMaxBatches: DEFAULT_QUEUE_MAX_BATCHES,
+    maxDeliveryAttempts: DEFAULT_MAX_DELIVERY_ATTEMPTS,
+    metricsIntervalMinutes: DEFAULT_METRICS_INTERVAL_MINUTES,
+    heartbeatIntervalMinutes: DEFAULT_HEARTBEAT_INTERVAL_MINUTES,
+    forwardDiagnostics: true,
+    compression: DEFAULT_COMPRESSION,
+    auth: null,
+    signing: null,
+    redaction: null,
+    collectors: {},
+    circuitBreaker: { failureThreshold: DEFAULT_CIRCUIT_FAILURE_THRESHOLD, cooldownMs: ENDPOINT_COOLDOWN_BASE_MS }
+  };
+
+  // Each value remembers the layer that supplied it: managed, local, or default.
+  const sources = Object.fromEntries(Object.keys(merged).map((key) => [key, 'default']));
+  const apply = (source, origin) => {
+    if (!source) {
+      return;
+    }
+
+    const assign = (key, value) => {
+      merged[key] = value;
+      sources[key] = origin;
+    };
+
+    if (Array.isArray(source.allowedHosts) && source.allowedHosts.length > 0) {
+      assign('allowedHosts', source.allowedHosts);
+    }
+
+    if (typeof source.allowHttpForTesting === 'boolean') {
+      assign('allowHttpForTesting', source.allowHttpForTesting);
+    }
+
+    if (typeof source.pollIntervalMinutes === 'number') {
+      assign('pollIntervalMinutes', source.pollIntervalMinutes);
+    }
+
+    if (typeof source.guardThresholdMinutes === 'number') {
+      assign('guardThresholdMinutes', source.guardThresholdMinutes);
+    }
+
+    if (typeof source.maxMessagesPerBatch === 'number') {
+      assign('maxMessagesPerBatch', source.maxMessagesPerBatch);
+    }
+
+    if (typeof source.queueMaxMegabytes === 'number') {
+      assign('queueMaxMegabytes', source.queueMaxMegabytes);
+    }
+
+    if (typeof source.queueMaxBatches === 'number') {
+      assign('queueMaxBatches', source.queueMaxBatches);
+    }
+
+    if (typeof source.maxDeliveryAttempts === 'number') {
+      assign('maxDeliveryAttempts', source.maxDeliveryAttempts);
+    }
+
+    if (typeof source.metricsIntervalMinutes === 'number') {
+      assign('metricsIntervalMinutes', source.metricsIntervalMinutes);
+    }
+
+    if (typeof source.heartbeatIntervalMinutes === 'number') {
+      assign('heartbeatIntervalMinutes', source.heartbeatIntervalMinutes);
+    }
+
+    if (typeof source.forwardDiagnostics === 'boolean') {
+      assign('forwardDiagnostics', source.forwardDiagnostics);
+    }
+
+    if (typeof source.compression === 'string') {
+      assign('compression', source.compression);
+    }
+
+    // Credentials and signing keys are trusted from policy only; local
+    // storage is writable from the options page.
+    if (origin === 'managed' && source.auth) {
+      assign('auth', source.auth);
+    }
+
+    if (origin === 'managed' && source.signing) {
+      assign('signing', source.signing);
+    }
+
+    if (source.redaction) {
+      assign('redaction', source.redaction);
+    }
+
+    if (source.collectors) {
+      assign('collectors', { ...merged.collectors, ...source.collectors });
+    }
+
+    if (source.circuitBreaker) {
+      assign('circuitBreaker', { ...merged.circuitBreaker, ...source.circuitBreaker });
+    }
+
+    if (Array.isArray(source.endpoints) && source.endpoints.length > 0) {
+      assign('endpoints', source.endpoints);
+      assign('endpointAuth', origin === 'managed' ? source.endpointAuth ?? {} : {});
+      sources.endpoint = origin;
+    }
+  };
+
+  apply(localConfig, 'local');
+  apply(managedConfig, 'managed');
+
+  merged.endpoints = merged.endpoints
+    .map((endpoint) =>
+      normalizeEndpoint(endpoint, {
+        allowHttpForTesting: merged.allowHttpForTesting,
+        allowedHosts: merged.allowedHosts
+      })
+    )
+    .filter((endpointCheck) => endpointCheck.valid)
+    .map((endpointCheck) => endpointCheck.endpoint);
+
+  const endpointKeys = merged.endpoints.map(buildEndpointKey);
+  merged.endpointAuth = Object.fromEntries(
+    Object.entries(merged.endpointAuth).filter(([key]) => endpointKeys.includes(key))
+  );
+  merged.endpoint = merged.endpoints[0] ?? { ...DEFAULT_ENDPOINT };
+
+  merged.pollIntervalMinutes = sanitizePollInterval(merged.pollIntervalMinutes);
+  merged.guardThresholdMinutes = Math.max(
+    sanitizeOptionalNumber(merged.guardThresholdMinutes) ?? DEFAULT_GUARD_THRESHOLD_MINUTES,
+    merged.pollIntervalMinutes
+  );
+  merged.maxMessagesPerBatch = sanitizeMaxMessagesPerBatch(merged.maxMessagesPerBatch);
+  merged.queueMaxMegabytes = sanitizeQueueMaxMegabytes(merged.queueMaxMegabytes);
+  merged.queueMaxBatches = sanitizeQueueMaxBatches(merged.queueMaxBatches);
+  merged.maxDeliveryAttempts = sanitizeMaxDeliveryAttempts(merged.maxDeliveryAttempts);
+  merged.metricsIntervalMinutes = sanitizeMetricsInterval(merged.metricsIntervalMinutes);
+  merged.heartbeatIntervalMinutes = sanitizeHeartbeatInterval(merged.heartbeatIntervalMinutes);
+  merged.collectionPlan = buildCollectionPlan(merged.collectors);
+  merged.sources = sources;
+
+  return merged;
+}
+
+function normalizeAuth(rawAuth) {
+  const errors = [];
+
+  if (rawAuth == null) {
+    return { auth: null, errors };
+  }
+
+  if (typeof rawAuth !== 'object') {
+    errors.push('invalid-auth');
+    return { auth: null, errors };
+  }
+
+  const type = typeof rawAuth.type === 'string' ? rawAuth.type.trim().toLowerCase() : '';
+  if (!AUTH_TYPES.includes(type)) {
+    errors.push('invalid-auth-type');
+    return { auth: null, errors };
+  }
 
-  return guardMinutes * 60 * 1000;
-}
+  if (type === 'bearer') {
+    const token = typeof rawAuth.token === 'string' ? rawAuth.token.trim() : '';
+    if (!token || !isSafeHeaderValue(token)) {
+      errors.push('invalid-bearer-token');
+      return { auth: null, errors };
+    }
+    return { auth: { type, token }, errors };
+  }
 
-function sanitizePollInterval(value) {
-  const parsed = Number(value);
-  if (Number.isFinite(parsed) && parsed >= 1) {
-    return Math.min(parsed, 24 * 60);
+  if (type === 'basic') {
+    const username = typeof rawAuth.username === 'string' ? rawAuth.username : '';
+    const password = typeof rawAuth.password === 'string' ? rawAuth.password : '';
+    if (!username || username.includes(':')) {
+      errors.push('invalid-basic-username');
+    }
+    if (!password) {
+      errors.push('invalid-basic-password');
+    }
+    return errors.length === 0 ? { auth: { type, username, password }, errors } : { auth: null, errors };
   }
-  return DEFAULT_POLL_INTERVAL_MINUTES;
-}
 
-function sanitizeOptionalNumber(value) {
-  const parsed = Number(value);
-  if (Number.isFinite(parsed) && parsed > 0) {
-    return parsed;
+  const rawHeaders = rawAuth.headers && typeof rawAuth.headers === 'object' ? rawAuth.headers : {};
+  const headers = {};
+  for (const [name, value] of Object.entries(rawHeaders)) {
+    const headerName = typeof name === 'string' ? name.trim() : '';
+    if (!HTTP_HEADER_NAME_PATTERN.test(headerName)) {
+      errors.push('invalid-header-name');
+      continue;
+    }
+    if (RESERVED_AUTH_HEADER_NAMES.includes(headerName.toLowerCase())) {
+      errors.push('reserved-header-name');
+      continue;
+    }
+    if (typeof value !== 'string' || !isSafeHeaderValue(value)) {
+      // Header names are not secret, so they can be reported to help administrators.
+      errors.push(`invalid-header-value:${headerName}`);
+      continue;
+    }
+    headers[headerName] = value;
   }
-  return null;
+
+  if (Object.keys(headers).length === 0) {
+    errors.push('missing-auth-headers');
+    return { auth: null, errors };
+  }
+
+  return { auth: { type, headers }, errors };
 }
 
-async function enforcePayloadConstraints(payload) {
-  let serialized;
-  try {
-    serialized = JSON.stringify(payload);
-  } catch (error) {
-    await recordDiagnostic('serialization-failed', { message: error?.message ?? String(error) });
-    return payload;
+function normalizeSigning(rawSigning) {
+  const errors = [];
+
+  if (rawSigning == null) {
+    return { signing: null, errors };
   }
 
-  const originalSize = serialized.length;
-  const originalSystemLogCount = Array.isArray(payload?.logArtifacts?.systemLogs)
-    ? payload.logArtifacts.systemLogs.length
-    : 0;
+  if (typeof rawSigning !== 'object' || !Array.isArray(rawSigning.keys)) {
+    errors.push('invalid-signing');
+    return { signing: null, errors };
+  }
 
-  if (serialized.length <= PAYLOAD_SIZE_LIMIT_BYTES) {
-    return payload;
+  if (rawSigning.algorithm != null && String(rawSigning.algorithm).toUpperCase() !== 'HMAC-SHA256') {
+    errors.push('unsupported-signing-algorithm');
+    return { signing: null, errors };
   }
 
-  const trimmed = cloneSerializable(payload);
-  let truncated = false;
-  let systemLogTruncations = 0;
-  let systemLogsRemoved = false;
-  let logArtifactsRemoved = false;
+  const keys = [];
+  const seenIds = new Set();
+  for (const rawKey of rawSigning.keys) {
+    const id = typeof rawKey?.id === 'string' ? rawKey.id.trim() : '';
+    if (!SIGNING_KEY_ID_PATTERN.test(id)) {
+      errors.push('invalid-signing-key-id');
+      continue;
+    }
+    if (seenIds.has(id)) {
+      errors.push(`duplicate-signing-key-id:${id}`);
+      continue;
+    }
 
-  if (trimmed?.logArtifacts?.systemLogs) {
-    const logs = Array.isArray(trimmed.logArtifacts.systemLogs)
-      ? trimmed.logArtifacts.systemLogs
-      : [];
-    const normalizedLogs = logs.slice(0, 10).map((entry) => {
-      if (!entry || typeof entry !== 'object') {
-        return entry;
-      }
+    const secret = typeof rawKey.secret === 'string' ? rawKey.secret : '';
+    if (secret.length < MIN_SIGNING_SECRET_LENGTH) {
+      errors.push(`weak-signing-secret:${id}`);
+      continue;
+    }
 
-      if (typeof entry.log === 'string' && entry.log.length > 4096) {
-        truncated = true;
-        systemLogTruncations += 1;
-        return { ...entry, log: entry.log.slice(-4096), truncated: true };
+    const key = { id, secret };
+    for (const boundary of ['notBefore', 'notAfter']) {
+      if (rawKey[boundary] == null) {
+        continue;
       }
+      if (!Number.isFinite(Date.parse(rawKey[boundary]))) {
+        errors.push(`invalid-signing-window:${id}`);
+        continue;
+      }
+      key[boundary] = rawKey[boundary];
+    }
 
-      return entry;
-    });
+    seenIds.add(id);
+    keys.push(key);
+  }
 
-    trimmed.logArtifacts.systemLogs = normalizedLogs;
-    truncated = true;
-  }
-
-  serialized = JSON.stringify(trimmed);
-  if (serialized.length > PAYLOAD_SIZE_LIMIT_BYTES && trimmed?.logArtifacts) {
-    delete trimmed.logArtifacts.systemLogs;
-    trimmed.logArtifactsTruncated = true;
-    serialized = JSON.stringify(trimmed);
-    truncated = true;
-    systemLogsRemoved = true;
-  }
-
-  if (serialized.length > PAYLOAD_SIZE_LIMIT_BYTES && trimmed.logArtifacts) {
-    delete trimmed.logArtifacts;
-    trimmed.payloadTruncated = true;
-    truncated = true;
-    logArtifactsRemoved = true;
-  }
-
-  if (truncated) {
-    const remainingSystemLogCount = Array.isArray(trimmed?.logArtifacts?.systemLogs)
-      ? trimmed.logArtifacts.systemLogs.length
-      : 0;
-
-    await recordDiagnostic('payload-truncated', {
-      originalSize,
-      finalSize: serialized.length,
-      logArtifactsTruncated: trimmed?.logArtifactsTruncated === true,
-      payloadTruncated: trimmed?.payloadTruncated === true,
-      systemLogEntriesBefore: originalSystemLogCount,
-      systemLogEntriesAfter: remainingSystemLogCount,
-      systemLogTruncations,
-      systemLogsRemoved,
-      logArtifactsRemoved
-    });
+  if (keys.length === 0) {
+    errors.push('missing-signing-keys');
+    return { signing: null, errors };
   }
 
-  return trimmed;
+  return { signing: { algorithm: 'HMAC-SHA256', keys }, errors };
 }
 
-function cloneSerializable(value) {
-  try {
-    return JSON.parse(JSON.stringify(value));
-  } catch (error) {
-    console.warn('[ChromeOS Graylog Agent] Failed to clone payload', error);
-    return value;
+function normalizeCollectors(rawCollectors) {
+  const errors = [];
+
+  if (rawCollectors == null) {
+    return { collectors: null, errors };
   }
-}
 
-async function getRuntimeConfiguration() {
-  if (runtimeConfiguration) {
-    return runtimeConfiguration;
+  if (typeof rawCollectors !== 'object') {
+    errors.push('invalid-collectors');
+    return { collectors: null, errors };
   }
 
-  runtimeConfiguration = await loadConfiguration();
-  return runtimeConfiguration;
-}
+  const collectors = {};
+  for (const [id, rawSettings] of Object.entries(rawCollectors)) {
+    const collector = collectorRegistry.get(id);
+    if (!collector) {
+      errors.push(`unknown-collector:${id}`);
+      continue;
+    }
+    const knownFields = collector.fields;
 
-async function loadConfiguration() {
-  const [managedConfig, localConfig] = await Promise.all([
-    readManagedConfiguration(),
-    readLocalConfiguration()
-  ]);
+    if (typeof rawSettings === 'boolean') {
+      collectors[id] = { enabled: rawSettings };
+      continue;
+    }
 
-  if (managedConfig?.endpointErrors?.length) {
-    await recordDiagnostic('managed-endpoint-invalid', { errors: managedConfig.endpointErrors });
-  }
+    if (!rawSettings || typeof rawSettings !== 'object') {
+      errors.push(`invalid-collector:${id}`);
+      continue;
+    }
 
-  if (localConfig?.endpointErrors?.length) {
-    await recordDiagnostic('local-endpoint-invalid', { errors: localConfig.endpointErrors });
-  }
+    const settings = { enabled: rawSettings.enabled !== false };
+    for (const listName of ['allow', 'deny']) {
+      if (rawSettings[listName] == null) {
+        continue;
+      }
+      if (!Array.isArray(rawSettings[listName])) {
+        errors.push(`invalid-collector-${listName}:${id}`);
+        continue;
+      }
+      settings[listName] = rawSettings[listName].filter((field) => {
+        if (knownFields.includes(field)) {
+          return true;
+        }
+        errors.push(`unknown-collector-field:${id}.${field}`);
+        return false;
+      });
+    }
 
-  const merged = mergeConfigurations(localConfig, managedConfig);
-  return merged;
-}
+    if (rawSettings.intervalMinutes != null) {
+      const intervalMinutes = Number(rawSettings.intervalMinutes);
+      if (Number.isFinite(intervalMinutes) && intervalMinutes >= 0 && intervalMinutes <= MAX_COLLECTOR_INTERVAL_MINUTES) {
+        settings.intervalMinutes = intervalMinutes;
+      } else {
+        errors.push(`invalid-collector-interval:${id}`);
+      }
+    }
 
-async function readManagedConfiguration() {
-  const data = await getStorageManaged('graylogConfig');
-  const rawConfig = data?.graylogConfig;
-  return normalizeConfigurationSource(rawConfig);
+    if (rawSettings.timeoutSeconds != null) {
+      const timeoutMs = Number(rawSettings.timeoutSeconds) * 1000;
+      if (Number.isFinite(timeoutMs) && timeoutMs >= 1000 && timeoutMs <= MAX_COLLECTOR_TIMEOUT_MS) {
+        settings.timeoutMs = timeoutMs;
+      } else {
+        errors.push(`invalid-collector-timeout:${id}`);
+      }
+    }
+
+    collectors[id] = settings;
+  }
+
+  return { collectors, errors };
 }
 
-async function readLocalConfiguration() {
-  const { data } = await getStorageLocal([GRAYLOG_SETTINGS_STORAGE_KEY, GRAYLOG_ENDPOINT_STORAGE_KEY]);
-  const settings = data?.[GRAYLOG_SETTINGS_STORAGE_KEY];
-  const legacyEndpoint = data?.[GRAYLOG_ENDPOINT_STORAGE_KEY];
+function normalizeCircuitBreaker(rawCircuitBreaker) {
+  const errors = [];
 
-  if (settings && typeof settings === 'object') {
-    return normalizeConfigurationSource({ ...settings });
+  if (rawCircuitBreaker == null) {
+    return { circuitBreaker: null, errors };
   }
 
-  if (legacyEndpoint && typeof legacyEndpoint === 'object') {
-    return normalizeConfigurationSource({ endpoint: legacyEndpoint });
+  if (typeof rawCircuitBreaker !== 'object') {
+    errors.push('invalid-circuit-breaker');
+    return { circuitBreaker: null, errors };
   }
 
-  return null;
-}
+  const circuitBreaker = {};
 
-function normalizeConfigurationSource(raw) {
-  if (!raw || typeof raw !== 'object') {
-    return null;
+  if (rawCircuitBreaker.failureThreshold != null) {
+    const threshold = Number(rawCircuitBreaker.failureThreshold);
+    if (Number.isInteger(threshold) && threshold >= 1 && threshold <= MAX_CIRCUIT_FAILURE_THRESHOLD) {
+      circuitBreaker.failureThreshold = threshold;
+    } else {
+      errors.push('invalid-circuit-failure-threshold');
+    }
   }
 
-  const allowHttpForTesting = raw.allowHttpForTesting === true;
-  const allowedHosts = Array.isArray(raw.allowedHosts)
-    ? raw.allowedHosts
-        .map((host) => (typeof host === 'string' ? host.trim() : ''))
-        .filter((host) => host && HOSTNAME_PATTERN.test(host))
-    : [];
+  if (rawCircuitBreaker.cooldownSeconds != null) {
+    const cooldownMs = Number(rawCircuitBreaker.cooldownSeconds) * 1000;
+    if (Number.isFinite(cooldownMs) && cooldownMs >= 1000 && cooldownMs <= MAX_ENDPOINT_COOLDOWN_MS) {
+      circuitBreaker.cooldownMs = cooldownMs;
+    } else {
+      errors.push('invalid-circuit-cooldown');
+    }
+  }
 
-  const hostPermissionCheck = filterHostsAgainstManifest(allowedHosts, allowHttpForTesting);
-  const sanitizedAllowedHosts = hostPermissionCheck.hosts;
-  hostPermissionCheck.removed.forEach((item) => {
-    recordDiagnostic('host-permission-mismatch', {
-      host: item.host,
-      missingHttps: item.missingHttps === true,
-      missingHttp: item.missingHttp === true
-    }).catch((error) => {
-      console.warn('[ChromeOS Graylog Agent] Failed to report host permission mismatch', error);
-    });
-  });
+  return { circuitBreaker: Object.keys(circuitBreaker).length > 0 ? circuitBreaker : null, errors };
+}
 
-  const endpointCandidate =
-    raw.endpoint && typeof raw.endpoint === 'object' ? raw.endpoint : raw;
+function buildCollectionPlan(collectors) {
+  return Object.fromEntries(
+    [...collectorRegistry.values()].map((collector) => {
+      const settings = collectors?.[collector.id] ?? {};
+      let fields = [...collector.fields];
 
-  const endpointResult = normalizeEndpoint(endpointCandidate, {
-    allowHttpForTesting,
-    allowedHosts: sanitizedAllowedHosts
-  });
+      if (Array.isArray(settings.allow)) {
+        fields = fields.filter((field) => settings.allow.includes(field));
+      }
 
-  return {
-    endpoint: endpointResult.endpoint,
-    endpointValid: endpointResult.valid,
-    endpointErrors: endpointResult.errors,
-    pollIntervalMinutes: sanitizeOptionalNumber(raw.pollIntervalMinutes),
-    guardThresholdMinutes: sanitizeOptionalNumber(raw.guardThresholdMinutes),
-    allowHttpForTesting,
-    allowedHosts: sanitizedAllowedHosts
-  };
+      if (Array.isArray(settings.deny)) {
+        fields = fields.filter((field) => !settings.deny.includes(field));
+      }
+
+      // Collectors without selectable fields are governed by `enabled` alone.
+      const enabled = settings.enabled !== false && (collector.fields.length === 0 || fields.length > 0);
+
+      return [
+        collector.id,
+        {
+          enabled,
+          fields: enabled ? fields : [],
+          intervalMinutes: settings.intervalMinutes ?? collector.intervalMinutes,
+          timeoutMs: settings.timeoutMs ?? collector.timeoutMs
+        }
+      ];
+    })
+  );
 }
 
-function mergeConfigurations(localConfig, managedConfig) {
-  const merged = {
-    endpoint: { ...DEFAULT_ENDPOINT },
-    pollIntervalMinutes: DEFAULT_POLL_INTERVAL_MINUTES,
-    guardThresholdMinutes: DEFAULT_GUARD_THRESHOLD_MINUTES,
-    allowHttpForTesting: false,
-    allowedHosts: []
-  };
+function summarizeCollectionPlan(plan) {
+  return Object.fromEntries(
+    Object.entries(plan ?? {}).map(([id, entry]) => {
+      if (!entry.enabled) {
+        return [id, 'disabled'];
+      }
+      const cadence = entry.intervalMinutes > 0 ? `every ${entry.intervalMinutes}m` : 'every harvest';
+      return [id, `${entry.fields.join(',')} (${cadence}, timeout ${entry.timeoutMs / 1000}s)`];
+    })
+  );
+}
 
-  const apply = (source) => {
-    if (!source) {
-      return;
-    }
+function normalizeRedaction(rawRedaction) {
+  const errors = [];
 
-    if (Array.isArray(source.allowedHosts) && source.allowedHosts.length > 0) {
-      merged.allowedHosts = source.allowedHosts;
+  if (rawRedaction == null) {
+    return { redaction: null, errors };
+  }
+
+  if (typeof rawRedaction !== 'object' || rawRedaction.enabled === false) {
+    if (typeof rawRedaction !== 'object') {
+      errors.push('invalid-redaction');
     }
+    return { redaction: null, errors };
+  }
 
-    if (typeof source.allowHttpForTesting === 'boolean') {
-      merged.allowHttpForTesting = source.allowHttpForTesting;
+  const hashSalt = typeof rawRedaction.hashSalt === 'string' ? rawRedaction.hashSalt : '';
+  const resolveAction = (candidate, label) => {
+    const action = typeof candidate === 'string' ? candidate.trim().toLowerCase() : '';
+    if (!REDACTION_ACTIONS.includes(action)) {
+      errors.push(`invalid-redaction-action:${label}`);
+      return 'mask';
+    }
+    if (action === 'hash' && !hashSalt) {
+      // Unsalted hashes of low-entropy values are reversible, so fall back to masking.
+      errors.push(`missing-hash-salt:${label}`);
+      return 'mask';
     }
+    return action;
+  };
 
-    if (typeof source.pollIntervalMinutes === 'number') {
-      merged.pollIntervalMinutes = source.pollIntervalMinutes;
+  const rawDetectors =
+    rawRedaction.detectors && typeof rawRedaction.detectors === 'object' ? rawRedaction.detectors : {};
+  const detectors = {};
+  for (const { id } of REDACTION_DETECTORS) {
+    const setting = rawDetectors[id];
+    if (setting === false) {
+      continue;
     }
+    detectors[id] = setting == null || setting === true ? 'mask' : resolveAction(setting, id);
+  }
 
-    if (typeof source.guardThresholdMinutes === 'number') {
-      merged.guardThresholdMinutes = source.guardThresholdMinutes;
+  const rules = [];
+  const rawRules = Array.isArray(rawRedaction.rules) ? rawRedaction.rules : [];
+  if (rawRules.length > MAX_REDACTION_RULES) {
+    errors.push('too-many-redaction-rules');
+  }
+
+  rawRules.slice(0, MAX_REDACTION_RULES).forEach((rawRule, index) => {
+    const id = typeof rawRule?.id === 'string' ? rawRule.id.trim() : '';
+    if (!REDACTION_RULE_ID_PATTERN.test(id)) {
+      errors.push(`invalid-redaction-rule-id:${index}`);
+      return;
     }
 
-    if (source.endpoint && source.endpoint.host) {
-      merged.endpoint = source.endpoint;
+    const pattern = typeof rawRule.pattern === 'string' ? rawRule.pattern : '';
+    const flags = typeof rawRule.flags === 'string' ? rawRule.flags : '';
+    if (!pattern || pattern.length > MAX_REDACTION_PATTERN_LENGTH || !REDACTION_ALLOWED_FLAGS.test(flags)) {
+      errors.push(`invalid-redaction-pattern:${id}`);
+      return;
     }
-  };
 
-  apply(localConfig);
-  apply(managedConfig);
+    try {
+      // Patterns that can match the empty string would loop over every position.
+      if (new RegExp(pattern, flags).test('')) {
+        errors.push(`empty-match-redaction-pattern:${id}`);
+        return;
+      }
+    } catch (error) {
+      errors.push(`invalid-redaction-pattern:${id}`);
+      return;
+    }
 
-  const endpointCheck = normalizeEndpoint(merged.endpoint, {
-    allowHttpForTesting: merged.allowHttpForTesting,
-    allowedHosts: merged.allowedHosts
+    rules.push({ id, pattern, flags, action: resolveAction(rawRule.action ?? 'mask', id) });
   });
 
-  if (endpointCheck.valid) {
-    merged.endpoint = endpointCheck.endpoint;
-  } else {
-    merged.endpoint = { ...DEFAULT_ENDPOINT };
-  }
-
-  merged.pollIntervalMinutes = sanitizePollInterval(merged.pollIntervalMinutes);
-  merged.guardThresholdMinutes = Math.max(
-    sanitizeOptionalNumber(merged.guardThresholdMinutes) ?? DEFAULT_GUARD_THRESHOLD_MINUTES,
-    merged.pollIntervalMinutes
-  );
+  return { redaction: { detectors, rules, hashSalt }, errors };
+}
 
-  return merged;
+function isSafeHeaderValue(value) {
+  return typeof value === 'string' && value.length > 0 && !/[\r\n\0]/.test(value);
 }
 
 function normalizeEndpoint(rawEndpoint, options = {}) {
@@ -1297,6 +5385,13 @@ function normalizeEndpoint(rawEndpoint, options = {}) {
     errors.push('host-not-allowed');
   }
 
+  if (
+    endpoint.host &&
+    !manifestHostPermissionMatchers.some((matcher) => matcher(endpoint.protocol, endpoint.host))
+  ) {
+    errors.push('host-permission-missing');
+  }
+
   const valid = errors.length === 0 && endpoint.host !== '';
   if (!valid) {
     endpoint.host = '';
@@ -1309,9 +5404,16 @@ async function recordDiagnostic(code, details = {}, options = {}) {
   const now = Date.now();
   pruneTransientDiagnostics(now);
 
+  const definition = describeDiagnosticCode(code);
+  if (definition === UNREGISTERED_DIAGNOSTIC) {
+    console.warn(`[ChromeOS Graylog Agent] Diagnostic code ${code} is not registered`);
+  }
+
   const entry = {
     code,
-    details,
+    severity: definition.severity,
+    category: definition.category,
+    details: redactSecretDetails(details),
     timestamp: new Date().toISOString()
   };
 
@@ -1322,7 +5424,7 @@ async function recordDiagnostic(code, details = {}, options = {}) {
 
   transientDiagnostics.push(entry);
   if (transientDiagnostics.length > MAX_DIAGNOSTIC_ENTRIES) {
-    transientDiagnostics.splice(0, transientDiagnostics.length - MAX_DIAGNOSTIC_ENTRIES);
+    transientDiagnostics.splice(0, transientDiagnostics.length, ...trimDiagnosticsToCapacity(transientDiagnostics));
   }
 
   if (options.skipStorage === true) {
@@ -1354,18 +5456,31 @@ async function recordDiagnostic(code, details = {}, options = {}) {
     }
 
     existing.push(entry);
-    const trimmed = existing.slice(-MAX_DIAGNOSTIC_ENTRIES);
+    const trimmed = trimDiagnosticsToCapacity(existing);
     await setStorageLocal({ [DIAGNOSTICS_STORAGE_KEY]: trimmed });
   } catch (error) {
     console.warn('[ChromeOS Graylog Agent] Failed to record diagnostic event', error);
   }
 }
 
-async function enforceDiagnosticRetention() {
-  if (!Number.isFinite(DIAGNOSTIC_RETENTION_WINDOW_MS) || DIAGNOSTIC_RETENTION_WINDOW_MS <= 0) {
-    return;
+function redactSecretDetails(value, depth = 0) {
+  if (value == null || typeof value !== 'object' || depth > 8) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((entry) => redactSecretDetails(entry, depth + 1));
   }
 
+  return Object.fromEntries(
+    Object.entries(value).map(([key, entry]) => [
+      key,
+      SECRET_DETAIL_KEY_PATTERN.test(key) ? REDACTED_PLACEHOLDER : redactSecretDetails(entry, depth + 1)
+    ])
+  );
+}
+
+async function enforceDiagnosticRetention() {
   const now = Date.now();
 
   try {
@@ -1380,7 +5495,7 @@ async function enforceDiagnosticRetention() {
       return;
     }
 
-    const trimmed = kept.slice(-MAX_DIAGNOSTIC_ENTRIES);
+    const trimmed = trimDiagnosticsToCapacity(kept);
     await setStorageLocal({ [DIAGNOSTICS_STORAGE_KEY]: trimmed });
 
     if (pruned > 0) {
@@ -1400,17 +5515,13 @@ function applyDiagnosticRetention(entries, now = Date.now()) {
     return { kept: [], pruned: 0 };
   }
 
-  if (!Number.isFinite(DIAGNOSTIC_RETENTION_WINDOW_MS) || DIAGNOSTIC_RETENTION_WINDOW_MS <= 0) {
-    return { kept: entries.slice(), pruned: 0 };
-  }
-
-  const cutoff = now - DIAGNOSTIC_RETENTION_WINDOW_MS;
   const kept = [];
   let pruned = 0;
 
   for (const entry of entries) {
     const timestamp = Date.parse(entry?.timestamp ?? '');
-    if (Number.isFinite(timestamp) && timestamp < cutoff) {
+    const retentionDays = DIAGNOSTIC_RETENTION_DAYS_BY_SEVERITY[resolveDiagnosticSeverity(entry)];
+    if (Number.isFinite(timestamp) && timestamp < now - retentionDays * 24 * 60 * 60 * 1000) {
       pruned += 1;
       continue;
     }
@@ -1432,10 +5543,100 @@ function pruneTransientDiagnostics(now = Date.now()) {
   }
 
   transientDiagnostics.length = 0;
-  const trimmed = kept.slice(-MAX_DIAGNOSTIC_ENTRIES);
+  const trimmed = trimDiagnosticsToCapacity(kept);
   transientDiagnostics.push(...trimmed);
 }
 
+function trimDiagnosticsToCapacity(entries) {
+  if (entries.length <= MAX_DIAGNOSTIC_ENTRIES) {
+    return entries.slice();
+  }
+
+  // The least severe entries go first, oldest first within a severity.
+  const evicted = new Set(
+    entries
+      .map((entry, index) => ({ index, level: resolveDiagnosticSeverityLevel(entry) }))
+      .sort((a, b) => b.level - a.level || a.index - b.index)
+      .slice(0, entries.length - MAX_DIAGNOSTIC_ENTRIES)
+      .map(({ index }) => index)
+  );
+  return entries.filter((entry, index) => !evicted.has(index));
+}
+
+function defineDiagnosticCodes(groups) {
+  const codes = {};
+  for (const [category, entries] of Object.entries(groups)) {
+    for (const [code, [severity, description]] of Object.entries(entries)) {
+      codes[code] = Object.freeze({ severity, category, description });
+    }
+  }
+  return Object.freeze(codes);
+}
+
+function describeDiagnosticCode(code) {
+  return Object.prototype.hasOwnProperty.call(DIAGNOSTIC_CODES, code)
+    ? DIAGNOSTIC_CODES[code]
+    : UNREGISTERED_DIAGNOSTIC;
+}
+
+function resolveDiagnosticSeverity(entry) {
+  // Entries recorded before severities existed fall back to the registry.
+  return Object.prototype.hasOwnProperty.call(DIAGNOSTIC_SEVERITY_LEVELS, entry?.severity)
+    ? entry.severity
+    : describeDiagnosticCode(entry?.code).severity;
+}
+
+function resolveDiagnosticSeverityLevel(entry) {
+  return DIAGNOSTIC_SEVERITY_LEVELS[resolveDiagnosticSeverity(entry)];
+}
+
+function normalizeDiagnosticsFilters(message) {
+  const normalizeTime = (value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return null;
+    }
+    const parsed = new Date(value).getTime();
+    return Number.isFinite(parsed) ? new Date(parsed).toISOString() : null;
+  };
+  const codes = Array.isArray(message.codes) ? message.codes : [];
+
+  return {
+    minSeverity: normalizeMinimumSeverity(message.minSeverity),
+    since: normalizeTime(message.since),
+    until: normalizeTime(message.until),
+    codes: [...new Set(codes.filter((code) => typeof code === 'string').map((code) => code.trim()).filter(Boolean))]
+  };
+}
+
+async function buildDiagnosticsExportHeader(filters, count) {
+  const config = await getRuntimeConfiguration();
+  return {
+    recordType: 'header',
+    exportedAt: new Date().toISOString(),
+    agentVersion: chrome.runtime.getManifest?.()?.version ?? null,
+    device: await collectHeartbeatIdentity(config),
+    filters,
+    count
+  };
+}
+
+function describeQueueRecord(record) {
+  const toIso = (value) => (typeof value === 'number' ? new Date(value).toISOString() : value ?? null);
+  // Payloads stay out of support archives; only the retry bookkeeping is exported.
+  return {
+    ...record,
+    nextAttemptTime: toIso(record.nextAttemptTime),
+    enqueuedAt: toIso(record.enqueuedAt),
+    quarantinedAt: toIso(record.quarantinedAt)
+  };
+}
+
+function normalizeMinimumSeverity(value) {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(DIAGNOSTIC_SEVERITY_LEVELS, value)
+    ? value
+    : null;
+}
+
 function getStorageLocal(keys) {
   return new Promise((resolve) => {
     chrome.storage.local.get(keys, (data) => {
@@ -1482,6 +5683,21 @@ function setStorageLocal(values) {
   });
 }
 
+function removeStorageLocal(keys) {
+  return new Promise((resolve) => {
+    chrome.storage.local.remove(keys, () => {
+      if (chrome.runtime.lastError) {
+        const error = chrome.runtime.lastError;
+        console.warn('[ChromeOS Graylog Agent] storage.local.remove failed', error);
+        resolve({ success: false, error });
+        return;
+      }
+
+      resolve({ success: true });
+    });
+  });
+}
+
 function getStorageManaged(keys) {
   return new Promise((resolve) => {
     if (!chrome.storage?.managed?.get) {
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, plain } = require('./helpers/service-worker');
+
+const worker = loadServiceWorker();
+
+test('normalizeConfigurationSource returns null for missing input', () => {
+  assert.equal(worker.normalizeConfigurationSource(null), null);
+  assert.equal(worker.normalizeConfigurationSource('logs.example.com'), null);
+});
+
+test('normalizeConfigurationSource coerces a flat endpoint and numeric strings', () => {
+  const config = worker.normalizeConfigurationSource({
+    host: 'logs.example.com',
+    port: '443',
+    pollIntervalMinutes: '7'
+  });
+
+  assert.deepEqual(plain(config.endpoint), { host: 'logs.example.com', port: 443, protocol: 'https' });
+  assert.deepEqual(plain(config.endpoints), [{ host: 'logs.example.com', port: 443, protocol: 'https' }]);
+  assert.equal(config.endpointValid, true);
+  assert.equal(config.pollIntervalMinutes, 7);
+  assert.equal(config.guardThresholdMinutes, null);
+});
+
+test('normalizeConfigurationSource drops hosts the manifest does not grant', () => {
+  const config = worker.normalizeConfigurationSource({
+    endpoint: { host: 'logs.example.com' },
+    allowedHosts: ['logs.example.com', 'not a host', 'logs.other.org']
+  });
+
+  assert.deepEqual(plain(config.allowedHosts), ['logs.example.com']);
+});
+
+test('normalizeConfigurationSource refuses HTTP unless testing is allowed', () => {
+  const refused = worker.normalizeConfigurationSource({ endpoint: { host: 'logs.example.com', protocol: 'http' } });
+  assert.equal(refused.endpointValid, false);
+  assert.deepEqual(plain(refused.endpoints), []);
+
+  const allowed = worker.normalizeConfigurationSource({
+    endpoint: { host: 'logs.example.com', protocol: 'http' },
+    allowHttpForTesting: true
+  });
+  assert.equal(allowed.endpointValid, false);
+  assert.ok(allowed.endpointErrors.includes('host-permission-missing'));
+});
+
+test('mergeConfigurations prefers managed values and records their source', () => {
+  const local = worker.normalizeConfigurationSource({
+    endpoint: { host: 'local.example.com' },
+    pollIntervalMinutes: 3,
+    guardThresholdMinutes: 20
+  });
+  const managed = worker.normalizeConfigurationSource({ pollIntervalMinutes: 9 });
+
+  const merged = worker.mergeConfigurations(local, managed);
+
+  assert.equal(merged.pollIntervalMinutes, 9);
+  assert.equal(merged.sources.pollIntervalMinutes, 'managed');
+  assert.equal(merged.guardThresholdMinutes, 20);
+  assert.equal(merged.sources.guardThresholdMinutes, 'local');
+  assert.deepEqual(plain(merged.endpoints), [{ host: 'local.example.com', port: 12201, protocol: 'https' }]);
+  assert.equal(merged.sources.endpoint, 'local');
+  assert.equal(merged.sources.queueMaxBatches, 'default');
+});
+
+test('mergeConfigurations ignores credentials from local settings', () => {
+  const local = worker.normalizeConfigurationSource({
+    endpoint: { host: 'local.example.com' },
+    auth: { type: 'bearer', token: 'local-token' }
+  });
+
+  assert.equal(worker.mergeConfigurations(local, null).auth, null);
+
+  const managed = worker.normalizeConfigurationSource({ auth: { type: 'bearer', token: 'policy-token' } });
+  assert.deepEqual(plain(worker.mergeConfigurations(local, managed).auth), { type: 'bearer', token: 'policy-token' });
+});
+
+test('mergeConfigurations falls back to defaults without any source', () => {
+  const merged = worker.mergeConfigurations(null, null);
+
+  assert.deepEqual(plain(merged.endpoints), []);
+  assert.equal(merged.maxDeliveryAttempts, 100);
+  assert.equal(merged.queueMaxBatches, 10000);
+  assert.equal(merged.sources.endpoint, 'default');
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker } = require('./helpers/service-worker');
+
+const worker = loadServiceWorker();
+
+test('classifyDeliveryStatus maps HTTP statuses to delivery failures', () => {
+  const cases = {
+    400: 'rejected',
+    401: 'unauthorized',
+    403: 'unauthorized',
+    404: 'not-found',
+    408: 'transient',
+    409: 'unexpected-status',
+    413: 'too-large',
+    422: 'unexpected-status',
+    429: 'transient',
+    500: 'transient',
+    502: 'transient',
+    503: 'transient'
+  };
+
+  for (const [status, failure] of Object.entries(cases)) {
+    assert.equal(worker.classifyDeliveryStatus(Number(status)), failure, `HTTP ${status}`);
+  }
+});
+
+test('classifyDeliveryStatus treats unexpected non-error statuses as transient', () => {
+  assert.equal(worker.classifyDeliveryStatus(302), 'transient');
+  assert.equal(worker.classifyDeliveryStatus(0), 'transient');
+});
@@ -0,0 +1,91 @@
+// Loads extension/service_worker.js into an isolated context with a minimal
+// chrome stub, so its pure helpers can be tested under plain Node.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const EXTENSION_DIR = path.resolve(__dirname, '..', '..', 'extension');
+
+function createEvent() {
+  return { addListener() {} };
+}
+
+function createStorageArea(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    get(keys, callback) {
+      const names = keys == null ? Object.keys(data) : [].concat(keys);
+      const result = {};
+      names.filter((name) => name in data).forEach((name) => {
+        result[name] = structuredClone(data[name]);
+      });
+      callback(result);
+    },
+    set(values, callback) {
+      Object.assign(data, structuredClone(values));
+      callback?.();
+    },
+    remove(keys, callback) {
+      [].concat(keys).forEach((name) => delete data[name]);
+      callback?.();
+    }
+  };
+}
+
+function createChromeStub(manifest) {
+  return {
+    runtime: {
+      id: 'test-extension',
+      lastError: null,
+      getManifest: () => manifest,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage: createEvent()
+    },
+    storage: {
+      local: createStorageArea(),
+      managed: createStorageArea(),
+      onChanged: createEvent()
+    },
+    alarms: {
+      get: (name, callback) => callback(undefined),
+      getAll: (callback) => callback([]),
+      create() {},
+      clear: (name, callback) => callback?.(true),
+      onAlarm: createEvent()
+    }
+  };
+}
+
+function loadServiceWorker() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(EXTENSION_DIR, 'manifest.json'), 'utf8'));
+  const quietConsole = { ...console, warn() {}, info() {}, debug() {} };
+  const context = {
+    chrome: createChromeStub(manifest),
+    console: quietConsole,
+    crypto: globalThis.crypto,
+    navigator: { onLine: true, userAgent: 'node-test' },
+    setTimeout,
+    clearTimeout,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    AbortController
+  };
+  context.self = context;
+  vm.createContext(context);
+
+  const file = path.join(EXTENSION_DIR, 'service_worker.js');
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  return context;
+}
+
+// Values built inside the worker's context carry its own prototypes, so they
+// are copied into this realm before deep equality assertions.
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadServiceWorker, plain };
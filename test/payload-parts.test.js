@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('node:vm');
+const { loadServiceWorker, plain } = require('./helpers/service-worker');
+
+const worker = loadServiceWorker();
+const HARVEST_SIZE_LIMIT_BYTES = vm.runInContext('HARVEST_SIZE_LIMIT_BYTES', worker);
+
+function messageText(message) {
+  return message.full_message ?? message.short_message;
+}
+
+function encodeSystemLogs(parts) {
+  return parts.flatMap((part) =>
+    (part.logArtifacts?.systemLogs ?? []).flatMap((entry) =>
+      worker.encodeSystemLogMessages(entry, { host: 'chromebook' }, Date.now())
+    )
+  );
+}
+
+test('planPayloadParts keeps a payload under the limit in one part', () => {
+  const payload = {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    deviceAttributes: { hostname: 'chromebook' },
+    logArtifacts: { logEvents: [{ timestamp: 1, message: 'event' }] }
+  };
+
+  const { parts, decisions } = worker.planPayloadParts(payload);
+
+  assert.equal(parts.length, 1);
+  assert.equal(parts[0], payload);
+  assert.equal(decisions.correlationId, null);
+  assert.equal(decisions.dropped, null);
+});
+
+test('planPayloadParts splits large payloads into correlated parts that fit the limit', () => {
+  const logEvents = Array.from({ length: 3000 }, (_, index) => ({ timestamp: index, message: 'x'.repeat(2000) }));
+  const payload = {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    deviceAttributes: { hostname: 'chromebook' },
+    runtimeContext: { extension: { version: '0.1.0' } },
+    logArtifacts: { logEvents }
+  };
+
+  const { parts, decisions } = worker.planPayloadParts(payload);
+
+  assert.ok(parts.length > 1);
+  parts.forEach((part, index) => {
+    assert.ok(worker.estimateSerializedSizeBytes(part) <= HARVEST_SIZE_LIMIT_BYTES);
+    assert.deepEqual(plain(part.deviceAttributes), { hostname: 'chromebook' });
+    assert.deepEqual(plain(part.harvestPart), {
+      correlationId: decisions.correlationId,
+      index: index + 1,
+      count: parts.length
+    });
+  });
+  const delivered = parts.flatMap((part) => part.logArtifacts?.logEvents ?? []);
+  assert.equal(delivered.length, logEvents.length);
+});
+
+test('planPayloadParts drops log events that cannot fit any part', () => {
+  const payload = {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    logArtifacts: { logEvents: [{ timestamp: 1, message: 'y'.repeat(HARVEST_SIZE_LIMIT_BYTES) }] }
+  };
+
+  const { parts, decisions } = worker.planPayloadParts(payload);
+
+  assert.equal(decisions.dropped.logEvents, 1);
+  assert.equal(parts[0].droppedData.logEvents, 1);
+});
+
+test('splitSystemLogEntry returns small entries unchanged', () => {
+  const entry = { name: 'messages', log: 'one\ntwo' };
+
+  assert.deepEqual(plain(worker.splitSystemLogEntry(entry, 10000)), [entry]);
+});
+
+test('splitSystemLogEntry keeps line numbers across chunks', () => {
+  const lines = Array.from({ length: 40 }, (_, index) => `line ${index + 1} ${'z'.repeat(200)}`);
+  const chunks = worker.splitSystemLogEntry({ name: 'messages', log: lines.join('\n') }, 3000);
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk) => assert.equal(chunk.name, 'messages'));
+  const messages = chunks.flatMap((chunk) => worker.encodeSystemLogMessages(chunk, { host: 'chromebook' }, 0));
+  assert.deepEqual(
+    plain(messages.map((message) => message._log_line)),
+    lines.map((_, index) => index + 1)
+  );
+  messages.forEach((message, index) => assert.ok(message.short_message.startsWith(`line ${index + 1} `)));
+});
+
+test('splitSystemLogEntry numbers the parts of a long line from one, skipping blank pieces', () => {
+  const longLine = `${' '.repeat(5000)}start${'y'.repeat(5000)}`;
+  const log = ['first', longLine, 'last'].join('\n');
+  const chunks = worker.splitSystemLogEntry({ name: 'messages', log }, 3000);
+  const messages = chunks.flatMap((chunk) => worker.encodeSystemLogMessages(chunk, { host: 'chromebook' }, 0));
+
+  const longParts = messages.filter((message) => message._log_line === 2);
+  assert.ok(longParts.length > 1);
+  assert.deepEqual(
+    plain(longParts.map((message) => message._log_line_part)),
+    plain(longParts.map((_, index) => index + 1))
+  );
+  assert.ok(messageText(longParts[0]).includes('start'));
+  assert.equal(messages[0].short_message, 'first');
+  assert.equal(messages.at(-1)._log_line, 3);
+  assert.equal(messages.at(-1).short_message, 'last');
+});
+
+test('system log numbering continues across harvest parts', () => {
+  const lines = Array.from({ length: 1200 }, (_, index) =>
+    index % 300 === 150
+      ? `${' '.repeat(800000)}long ${index + 1}${'y'.repeat(800000)}`
+      : `line ${index + 1} ${'z'.repeat(2000)}`
+  );
+  const payload = {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    deviceAttributes: { hostname: 'chromebook' },
+    logArtifacts: { systemLogs: [{ name: 'messages', log: lines.join('\n') }] }
+  };
+
+  const { parts, decisions } = worker.planPayloadParts(payload);
+  const messages = encodeSystemLogs(parts);
+
+  assert.ok(parts.length > 1);
+  assert.equal(decisions.splitSystemLogEntries, 1);
+  assert.equal(new Set(messages.map((message) => message._log_line)).size, lines.length);
+  for (const message of messages) {
+    if (!(message._log_line_part > 1)) {
+      const [, number] = messageText(message).trim().match(/^(?:line|long) (\d+)/);
+      assert.equal(Number(number), message._log_line);
+    }
+  }
+});
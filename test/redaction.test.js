@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServiceWorker, plain } = require('./helpers/service-worker');
+
+const worker = loadServiceWorker();
+
+function createRedactionContext(rawRedaction, deviceAttributes = null) {
+  const { redaction, errors } = worker.normalizeRedaction(rawRedaction);
+  assert.deepEqual(plain(errors), []);
+  return {
+    detectors: worker.buildRedactionDetectors(redaction, deviceAttributes),
+    counts: {},
+    hashKey: null,
+    hashCache: new Map(),
+    salt: redaction.hashSalt
+  };
+}
+
+test('redactValue masks built-in detectors in nested values and counts matches', async () => {
+  const context = createRedactionContext({ enabled: true });
+
+  const result = await worker.redactValue(
+    { message: 'login by user@example.com from 10.0.0.1', nested: ['mac 00:1A:2B:3C:4D:5E'], count: 3 },
+    context
+  );
+
+  assert.deepEqual(plain(result), {
+    message: 'login by [redacted:email] from [redacted:ipv4]',
+    nested: ['mac [redacted:mac]'],
+    count: 3
+  });
+  assert.deepEqual(plain(context.counts), {
+    email: { action: 'mask', count: 1 },
+    mac: { action: 'mask', count: 1 },
+    ipv4: { action: 'mask', count: 1 }
+  });
+});
+
+test('redactValue drops URL query strings but keeps the path', async () => {
+  const context = createRedactionContext({ enabled: true, detectors: { urlQuery: 'drop' } });
+
+  assert.equal(
+    await worker.redactValue('GET https://portal.example.com/login?token=abc&user=1 done', context),
+    'GET https://portal.example.com/login? done'
+  );
+});
+
+test('redactValue hashes consistently with a salt', async () => {
+  const context = createRedactionContext({ enabled: true, hashSalt: 'pepper', detectors: { email: 'hash' } });
+
+  const first = await worker.redactValue('a@example.com', context);
+  const second = await worker.redactValue('a@example.com', context);
+  const other = await worker.redactValue('b@example.com', context);
+
+  assert.match(first, /^\[email#[0-9a-f]+\]$/);
+  assert.equal(first, second);
+  assert.notEqual(first, other);
+});
+
+test('redactValue applies custom rules and literal device identifiers', async () => {
+  const context = createRedactionContext(
+    { enabled: true, rules: [{ id: 'student', pattern: 'S\\d{6}', action: 'mask' }] },
+    { serialNumber: 'SN12345678' }
+  );
+
+  assert.equal(
+    await worker.redactValue('student S123456 on SN12345678', context),
+    'student [redacted:student] on [redacted:serial]'
+  );
+});
+
+test('redactValue leaves values untouched when detectors are disabled', async () => {
+  const context = createRedactionContext({
+    enabled: true,
+    detectors: { urlQuery: false, email: false, mac: false, ipv6: false, ipv4: false, serial: false }
+  });
+
+  assert.equal(await worker.redactValue('user@example.com 10.0.0.1', context), 'user@example.com 10.0.0.1');
+  assert.deepEqual(plain(context.counts), {});
+});